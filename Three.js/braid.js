@@ -0,0 +1,82 @@
+/**
+ * Braid structure from a program run (headless: no THREE / DOM).
+ *
+ * Yarn ends move over the bed (yarnSim.js paths); the braid forms at a fell
+ * point above the bed and is taken up along +z (camera.up in the 3D view).
+ * A yarn-end position (x, y) at time t becomes the braid point
+ *
+ *   (cx + (x - cx) * scale, cy + (y - cy) * scale, z0 + (T - t) * takeUp)
+ *
+ * where T is the time the braid is looked at: material made earlier has been
+ * pulled further up. `scale` condenses the bed cross-section into the braid.
+ */
+
+import { yarnsAt } from "./yarnSim.js";
+
+/**
+ * paths:      yarnSim `paths` (Map id -> path)
+ * positionOf: (carrierKey, side, t) -> { x, y } world position of a carrier side at time t
+ * duration:   last time to sample (usually the schedule length)
+ * center:     { x, y } braid axis on the bed
+ * opts:       { sampleStep = 0.1, scale = 0.3 }
+ *
+ * Returns { yarns: [{ id, samples: [{ t, x, y }] }], duration } with (x, y)
+ * already condensed. Samples are time-ordered and include every path event.
+ */
+export function buildBraid({ paths, positionOf, duration, center = { x: 0, y: 0 }, sampleStep = 0.1, scale = 0.3 }) {
+  const times = new Set();
+  const steps = Math.max(1, Math.ceil(duration / sampleStep));
+  for (let i = 0; i <= steps; i++) times.add(Math.min(duration, i * sampleStep));
+  paths.forEach((path) => path.forEach((p) => p.time <= duration && times.add(p.time)));
+  const sorted = [...times].sort((a, b) => a - b);
+
+  const yarns = new Map();
+  paths.forEach((_, id) => yarns.set(id, { id, samples: [] }));
+  sorted.forEach((t) => {
+    yarnsAt(paths, t).forEach((pos, id) => {
+      const { x, y } = positionOf(pos.carrier, pos.side, t);
+      yarns.get(id).samples.push({
+        t,
+        x: center.x + (x - center.x) * scale,
+        y: center.y + (y - center.y) * scale,
+      });
+    });
+  });
+  return { yarns: [...yarns.values()], duration };
+}
+
+/**
+ * Centerline points of every yarn as seen at time `now` (only material made
+ * by then), with z from the take-up: [{ id, points: [[x, y, z], ...] }].
+ * Points run from the newest (at the fell point z0) to the oldest.
+ */
+export function braidCenterlines(braid, now, { z0 = 0, takeUp = 0.5 } = {}) {
+  return braid.yarns.map(({ id, samples }) => {
+    const points = [];
+    for (let i = samples.length - 1; i >= 0; i--) {
+      const s = samples[i];
+      if (s.t > now) continue;
+      points.push([s.x, s.y, z0 + (now - s.t) * takeUp]);
+    }
+    return { id, points };
+  });
+}
+
+// CSV of centerlines (braidCenterlines output): one row per point
+export function centerlinesToCSV(centerlines) {
+  const rows = ["yarn,point,x,y,z"];
+  centerlines.forEach(({ id, points }) => {
+    points.forEach(([x, y, z], i) => rows.push(`${id},${i},${x.toFixed(6)},${y.toFixed(6)},${z.toFixed(6)}`));
+  });
+  return `${rows.join("\n")}\n`;
+}
+
+// JSON export of the finished braid (everything up to the end of the run)
+export function braidToJSON(braid, opts) {
+  return {
+    format: "3dvideogen-braid",
+    version: 1,
+    duration: braid.duration,
+    yarns: braidCenterlines(braid, braid.duration, opts),
+  };
+}
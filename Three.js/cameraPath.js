@@ -0,0 +1,89 @@
+/**
+ * Camera paths for offline rendering (headless: no THREE / DOM).
+ *
+ * A path is one of
+ *   { keyframes: [{ time, position: [x, y, z], target: [x, y, z] }, ...] }
+ *   { orbit: { center: [x, y, z], radius, height, turns = 1, start = 0, duration } }
+ * Keyframes are eased like sequencer steps; before the first / after the last
+ * keyframe the camera holds still. An orbit circles `center` at `height`
+ * above it, `turns` times over `duration` seconds, starting on -y (the same
+ * side the live view looks from).
+ *
+ * A keyframe may name a viewpoint instead, { time, view: "top" } (see
+ * viewpoints.js); `resolveViews` swaps those for positions before validating.
+ */
+
+const lerp = (a, b, u) => a + (b - a) * u;
+const lerp3 = (a, b, u) => [lerp(a[0], b[0], u), lerp(a[1], b[1], u), lerp(a[2], b[2], u)];
+
+function isVec3(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+}
+
+// Throws an Error listing every problem, like program.js
+export function validateCameraPath(path) {
+  const errors = [];
+  if (path?.keyframes) {
+    if (!Array.isArray(path.keyframes) || path.keyframes.length === 0) errors.push("keyframes: expected a non-empty array");
+    else
+      path.keyframes.forEach((k, i) => {
+        if (!(k.time >= 0)) errors.push(`keyframes[${i}].time: expected a number >= 0`);
+        if (!isVec3(k.position)) errors.push(`keyframes[${i}].position: expected [x, y, z]`);
+        if (!isVec3(k.target)) errors.push(`keyframes[${i}].target: expected [x, y, z]`);
+      });
+  } else if (path?.orbit) {
+    const o = path.orbit;
+    if (!isVec3(o.center)) errors.push("orbit.center: expected [x, y, z]");
+    if (!(o.radius > 0)) errors.push("orbit.radius: expected a number > 0");
+    if (!Number.isFinite(o.height)) errors.push("orbit.height: expected a number");
+    if (!(o.duration > 0)) errors.push("orbit.duration: expected a number > 0");
+  } else {
+    errors.push('camera path: expected "keyframes" or "orbit"');
+  }
+  if (errors.length) {
+    const err = new Error(`Invalid camera path:\n${errors.join("\n")}`);
+    err.errors = errors;
+    throw err;
+  }
+  return path;
+}
+
+// Keyframes given as { time, view } get the { position, target } from
+// `viewAt(view, time)`, which throws for unknown names
+export function resolveViews(path, viewAt) {
+  if (!Array.isArray(path?.keyframes)) return path;
+  return {
+    ...path,
+    keyframes: path.keyframes.map((k) => (k?.view === undefined ? k : { time: k.time, ...viewAt(k.view, k.time) })),
+  };
+}
+
+function keyframeAt(keyframes, t) {
+  const keys = [...keyframes].sort((a, b) => a.time - b.time);
+  if (t <= keys[0].time) return { position: keys[0].position, target: keys[0].target };
+  for (let i = 1; i < keys.length; i++) {
+    const a = keys[i - 1];
+    const b = keys[i];
+    if (t > b.time) continue;
+    const span = b.time - a.time;
+    const u = span > 0 ? (t - a.time) / span : 1;
+    const e = u * u * (3 - 2 * u);
+    return { position: lerp3(a.position, b.position, e), target: lerp3(a.target, b.target, e) };
+  }
+  const last = keys[keys.length - 1];
+  return { position: last.position, target: last.target };
+}
+
+function orbitAt({ center, radius, height, turns = 1, start = 0, duration }, t) {
+  const u = Math.min(Math.max((t - start) / duration, 0), 1);
+  const a = -Math.PI / 2 + u * turns * Math.PI * 2;
+  return {
+    position: [center[0] + Math.cos(a) * radius, center[1] + Math.sin(a) * radius, center[2] + height],
+    target: [...center],
+  };
+}
+
+// Camera { position, target } at simulation time t
+export function cameraAt(path, t) {
+  return path.keyframes ? keyframeAt(path.keyframes, t) : orbitAt(path.orbit, t);
+}
@@ -0,0 +1,227 @@
+import * as THREE from "three";
+
+/**
+ * Instanced drawing of a carrier field for the 2D and 3D views.
+ *
+ * Every carrier part (body, outline, dots, selection mark) is one
+ * InstancedMesh for the whole bed per cell shape on it (one on the hex and
+ * square grids, octagons and small squares on the octagon grid), and the 2D
+ * edge bars are another, so a bed of thousands of carriers is still a
+ * handful of draw calls. Turns only rewrite the turned carriers' matrices
+ * and selection / checker results only rewrite instance colours; meshes are
+ * reallocated only when the field outgrows them.
+ *
+ * Instance colours multiply the material colour, so materials are white and
+ * each layer gives its own default `color`.
+ *
+ * Picking does not raycast: `keyAt` asks the model which cell is under a
+ * point on the bed (carrierModel.js keyAt) and looks the carrier up.
+ */
+
+const MIN_CAPACITY = 16;
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _color = new THREE.Color();
+
+// Room for `n` instances, doubling so a growing field reallocates rarely
+const capacityFor = (n) => Math.max(MIN_CAPACITY, 2 ** Math.ceil(Math.log2(Math.max(n, 1))));
+
+function makeInstanced(geometry, material, capacity, name, shadows) {
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.name = name;
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.setColorAt(0, _color.set(0xffffff)); // allocates instanceColor
+  mesh.frustumCulled = false; // instances cover the bed, not the geometry's own bounds
+  mesh.castShadow = shadows;
+  mesh.receiveShadow = shadows;
+  mesh.count = 0;
+  return mesh;
+}
+
+function writeMatrix(mesh, i, x, y, z, angle, length = 1) {
+  _position.set(x, y, z);
+  _quaternion.setFromAxisAngle(Z_AXIS, angle);
+  _scale.set(length, 1, 1);
+  mesh.setMatrixAt(i, _matrix.compose(_position, _quaternion, _scale));
+}
+
+/**
+ * model:  carrier model (carrierModel.js)
+ * layers: { name: { geometry, material, color, shadows = false, hidden = false } }
+ *         geometry in the carrier's own frame, or a function cell -> geometry
+ *         for layers shaped like the carrier (cells of carrierModel.js);
+ *         `hidden` layers start with every instance hidden (selection marks)
+ */
+export function createCarrierInstances({ model, layers }) {
+  const group = new THREE.Group();
+  const parts = new Map(); // cell id -> { meshes, shown, carriers, capacity }, one set of layer meshes per cell shape
+  const geometries = new Map(); // "cell id/layer name" -> geometry made for that cell
+  const indexOf = new Map(); // carrier key -> { part, i }
+
+  function geometryFor(name, cell) {
+    const { geometry } = layers[name];
+    if (typeof geometry !== "function") return geometry;
+    const id = `${cell.id}/${name}`;
+    if (!geometries.has(id)) geometries.set(id, geometry(cell));
+    return geometries.get(id);
+  }
+
+  function allocate(part, cell, n) {
+    part.capacity = capacityFor(n);
+    Object.entries(layers).forEach(([name, { material, shadows = false }]) => {
+      if (part.meshes[name]) {
+        group.remove(part.meshes[name]);
+        part.meshes[name].dispose();
+      }
+      part.meshes[name] = makeInstanced(geometryFor(name, cell), material, part.capacity, `carrier ${name} (${cell.id})`, shadows);
+      group.add(part.meshes[name]);
+    });
+  }
+
+  function place(part, i) {
+    const c = part.carriers[i];
+    Object.entries(part.meshes).forEach(([name, mesh]) => {
+      if (part.shown[name][i]) writeMatrix(mesh, i, c.x, c.y, 0, c.rotation);
+      else mesh.setMatrixAt(i, HIDDEN);
+    });
+  }
+
+  const touch = (mesh) => {
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+  };
+
+  // Match the instances to model.carriers (after a "field" event)
+  function rebuild() {
+    const byCell = new Map(); // cell id -> { cell, carriers }
+    model.carriers.forEach((c) => {
+      if (!byCell.has(c.cell.id)) byCell.set(c.cell.id, { cell: c.cell, carriers: [] });
+      byCell.get(c.cell.id).carriers.push(c);
+    });
+    // Shapes no longer on the bed keep their meshes but draw nothing
+    parts.forEach((part, id) => {
+      if (byCell.has(id)) return;
+      part.carriers = [];
+      Object.values(part.meshes).forEach((mesh) => (mesh.count = 0));
+    });
+
+    indexOf.clear();
+    byCell.forEach(({ cell, carriers }, id) => {
+      if (!parts.has(id)) parts.set(id, { meshes: {}, shown: {}, carriers: [], capacity: 0 });
+      const part = parts.get(id);
+      part.carriers = carriers;
+      if (carriers.length > part.capacity) allocate(part, cell, carriers.length);
+      carriers.forEach((c, i) => indexOf.set(c.key, { part, i }));
+      Object.entries(layers).forEach(([name, layer]) => {
+        part.shown[name] = new Uint8Array(part.capacity).fill(layer.hidden ? 0 : 1);
+        const mesh = part.meshes[name];
+        mesh.count = carriers.length;
+        _color.set(layer.color);
+        for (let i = 0; i < carriers.length; i++) mesh.setColorAt(i, _color);
+      });
+      for (let i = 0; i < carriers.length; i++) place(part, i);
+      Object.values(part.meshes).forEach(touch);
+    });
+  }
+
+  // New orientations for these carriers (after a "turn" event)
+  function update(carriers) {
+    const touched = new Set();
+    carriers.forEach((c) => {
+      const at = indexOf.get(c.key);
+      if (!at) return;
+      place(at.part, at.i);
+      touched.add(at.part);
+    });
+    touched.forEach((part) => Object.values(part.meshes).forEach((mesh) => (mesh.instanceMatrix.needsUpdate = true)));
+  }
+
+  // Colour of one carrier's instance in a layer (null: the layer's default)
+  function setColor(name, key, color) {
+    const at = indexOf.get(key);
+    if (!at) return;
+    const mesh = at.part.meshes[name];
+    mesh.setColorAt(at.i, _color.set(color ?? layers[name].color));
+    mesh.instanceColor.needsUpdate = true;
+  }
+
+  function setShown(name, key, on) {
+    const at = indexOf.get(key);
+    if (!at || Boolean(at.part.shown[name][at.i]) === on) return;
+    at.part.shown[name][at.i] = on ? 1 : 0;
+    place(at.part, at.i);
+    at.part.meshes[name].instanceMatrix.needsUpdate = true;
+  }
+
+  // Carrier key under a point (x, y) in the field's frame, or null
+  const keyAt = (x, y) => model.keyAt(x, y);
+
+  // Box around every carrier between heights zMin and zMax
+  function bounds(zMin = 0, zMax = 0) {
+    const box = new THREE.Box3();
+    model.carriers.forEach((c) => {
+      box.expandByPoint(_position.set(c.x - model.size, c.y - model.size, zMin));
+      box.expandByPoint(_position.set(c.x + model.size, c.y + model.size, zMax));
+    });
+    return box;
+  }
+
+  return { group, rebuild, update, setColor, setShown, keyAt, bounds };
+}
+
+/**
+ * One instanced bar per model edge, spanning the gap between the two facing
+ * sides. `geometry` is one unit long along x; bars are stretched to fit.
+ */
+export function createEdgeBars({ model, geometry, material, color, z = 0, fill = 0.85 }) {
+  const group = new THREE.Group();
+  const indexOf = new Map(); // edge key -> instance index
+  let mesh = null;
+  let capacity = 0;
+
+  // Match the bars to model.edges (after a "field" event)
+  function rebuild() {
+    const n = model.edges.length;
+    if (n > capacity) {
+      capacity = capacityFor(n);
+      if (mesh) {
+        group.remove(mesh);
+        mesh.dispose();
+      }
+      mesh = makeInstanced(geometry, material, capacity, "edge bars", false);
+      group.add(mesh);
+    }
+    indexOf.clear();
+    model.edges.forEach((e, i) => indexOf.set(e.key, i));
+    mesh.count = n;
+    _color.set(color);
+    for (let i = 0; i < n; i++) mesh.setColorAt(i, _color);
+    mesh.instanceColor.needsUpdate = true;
+    update();
+  }
+
+  // Follow the carriers' orientations (after a "turn" event)
+  function update() {
+    model.edges.forEach((edge, i) => {
+      const a = model.sideMidpoint(model.get(edge.a), edge.sideIdxA);
+      const b = model.sideMidpoint(model.get(edge.b), edge.sideIdxB);
+      const angle = Math.atan2(b.midY - a.midY, b.midX - a.midX);
+      const length = Math.hypot(b.midX - a.midX, b.midY - a.midY) * fill;
+      writeMatrix(mesh, i, (a.midX + b.midX) / 2, (a.midY + b.midY) / 2, z, angle, length);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  function setColor(key, value) {
+    const i = indexOf.get(key);
+    if (i === undefined) return;
+    mesh.setColorAt(i, _color.set(value));
+    mesh.instanceColor.needsUpdate = true;
+  }
+
+  return { group, rebuild, update, setColor };
+}
@@ -0,0 +1,400 @@
+/**
+ * Carrier model shared by the 2D and 3D views (headless: no THREE / DOM).
+ *
+ * Holds the carrier grid in integer (q, r) coordinates, adjacency, side
+ * geometry, rotation state, connected (textile) edges and rods. The views
+ * only draw it and change it through these functions, so a rotation made in
+ * one view behaves exactly the same in the other.
+ *
+ * The grid comes from a topology (TOPOLOGIES): which (q, r) are cells, each
+ * cell's shape, the neighbour rule, the (q, r) <-> (x, y) mapping and the
+ * rotation step.
+ * - "hex":     hexagons in axial coordinates, 60° steps (the default)
+ * - "square":  squares on a plain grid, 90° steps
+ * - "octagon": octagons on even (q, r) with small squares on odd (q, r)
+ *   between them (the 4.8.8 tiling), 90° steps for both
+ *
+ * Sides: side i of an unturned carrier has its outward normal at angle
+ * cell.angle0 + i * 360° / cell.sides. Rotation is in radians, positive =
+ * CCW; a carrier turned by k steps shows its local side l at world side
+ * (l + k * cell.stepSides) mod cell.sides. Carriers keep their `cell`;
+ * carriers without one (plain { key, x, y } objects) are hexagons.
+ */
+
+// Axial offsets of the six neighbours
+export const NEIGHBOR_DIRS = [
+  { dq: 1, dr: 0 },
+  { dq: 1, dr: -1 },
+  { dq: 0, dr: -1 },
+  { dq: -1, dr: 0 },
+  { dq: -1, dr: 1 },
+  { dq: 0, dr: 1 },
+];
+
+export const HEX_SIZE = 1.1; // centre to corner
+export const HEX_GAP = 0.08; // spacing between carriers
+
+export const mod = (n, m) => ((n % m) + m) % m;
+
+export const keyFor = (q, r) => `${q},${r}`;
+
+export function parseKey(key) {
+  const [q, r] = key.split(",").map(Number);
+  return { q, r };
+}
+
+// Edges are keyed "a|b" with a < b
+export function edgeKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// Axial hex coords (q, r) -> pointy-top pixel coords (x, y)
+export function axialToXY(q, r, size) {
+  return { x: size * Math.sqrt(3) * (q + r / 2), y: size * (3 / 2) * r };
+}
+
+// Pointy-top pixel (x, y) -> nearest axial cell; inverse of axialToXY
+export function xyToAxial(x, y, size) {
+  const fq = ((Math.sqrt(3) / 3) * x - y / 3) / size;
+  const fr = ((2 / 3) * y) / size;
+  // Round in cube coordinates so cell borders fall in the right place
+  const fs = -fq - fr;
+  let q = Math.round(fq);
+  let r = Math.round(fr);
+  const s = Math.round(fs);
+  const dq = Math.abs(q - fq);
+  const dr = Math.abs(r - fr);
+  const ds = Math.abs(s - fs);
+  if (dq > dr && dq > ds) q = -r - s;
+  else if (dr > ds) r = -q - s;
+  return { q: q + 0, r: r + 0 }; // + 0 turns -0 into 0 for clean keys
+}
+
+/**
+ * Cell shapes: side count, angle of side 0's normal, centre-to-corner radius
+ * as a multiple of the model's `size`, and how many sides one rotation step
+ * moves a side on by.
+ */
+export const HEX_CELL = { id: "hex", sides: 6, angle0: 0, radius: 1, stepSides: 1 };
+const SQUARE_CELL = { id: "square", sides: 4, angle0: 0, radius: 1, stepSides: 1 };
+const OCTAGON_CELL = { id: "octagon", sides: 8, angle0: 0, radius: 1, stepSides: 2 };
+// The small squares of the 4.8.8 tiling: octagon side length, turned 45°
+const DIAMOND_CELL = { id: "diamond", sides: 4, angle0: Math.PI / 4, radius: Math.SQRT2 * Math.sin(Math.PI / 8), stepSides: 1 };
+
+const dirs = (list) => list.map(([dq, dr]) => ({ dq, dr }));
+const SQUARE_DIRS = dirs([[1, 0], [0, 1], [-1, 0], [0, -1]]);
+const OCTAGON_DIRS = dirs([[2, 0], [1, 1], [0, 2], [-1, 1], [-2, 0], [-1, -1], [0, -2], [1, -1]]);
+const DIAMOND_DIRS = dirs([[1, 1], [-1, 1], [-1, -1], [1, -1]]);
+
+// Centre to side midpoint of a cell at model size `size`
+export const cellApothem = (cell, size) => size * cell.radius * Math.cos(Math.PI / cell.sides);
+
+// Steps between two axial cells
+export function hexDistance(a, b) {
+  const dq = a.q - b.q;
+  const dr = a.r - b.r;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+// Square rings: corner cells are as far out as the side midpoints
+const squareDistance = (a, b) => Math.max(Math.abs(a.q - b.q), Math.abs(a.r - b.r));
+
+const isOctagon = (q, r) => mod(q, 2) === 0 && mod(r, 2) === 0;
+const octagonUnit = (size, gap) => cellApothem(OCTAGON_CELL, size) + gap / 2; // half the octagon pitch
+
+/**
+ * name -> {
+ *   label, stepAngle,
+ *   isCell(q, r)        whether (q, r) is a cell at all
+ *   cellAt(q, r)        its shape
+ *   neighborDirs(q, r)  offsets to its possible neighbours
+ *   classOf(q, r)       0..2, never the same for two neighbours (patterns.js)
+ *   distance(a, b)      rings around a cell: hex steps, or the larger of
+ *                       |dq| and |dr| on the square grids (groups.js)
+ *   toXY(q, r, size, gap), fromXY(x, y, size, gap)   centre of a cell, cell under a point
+ * }
+ */
+export const TOPOLOGIES = {
+  hex: {
+    label: "hexagonal",
+    stepAngle: Math.PI / 3,
+    isCell: () => true,
+    cellAt: () => HEX_CELL,
+    neighborDirs: () => NEIGHBOR_DIRS,
+    classOf: (q, r) => mod(q - r, 3),
+    distance: hexDistance,
+    toXY: (q, r, size, gap) => axialToXY(q, r, size + gap),
+    fromXY: (x, y, size, gap) => xyToAxial(x, y, size + gap),
+  },
+  square: {
+    label: "square",
+    stepAngle: Math.PI / 2,
+    isCell: () => true,
+    cellAt: () => SQUARE_CELL,
+    neighborDirs: () => SQUARE_DIRS,
+    classOf: (q, r) => mod(q + r, 2),
+    distance: squareDistance,
+    toXY: (q, r, size, gap) => {
+      const pitch = 2 * cellApothem(SQUARE_CELL, size) + gap;
+      return { x: q * pitch, y: r * pitch };
+    },
+    fromXY: (x, y, size, gap) => {
+      const pitch = 2 * cellApothem(SQUARE_CELL, size) + gap;
+      return { q: Math.round(x / pitch) + 0, r: Math.round(y / pitch) + 0 };
+    },
+  },
+  octagon: {
+    label: "octagon + square",
+    stepAngle: Math.PI / 2,
+    isCell: (q, r) => mod(q, 2) === mod(r, 2),
+    cellAt: (q, r) => (isOctagon(q, r) ? OCTAGON_CELL : DIAMOND_CELL),
+    neighborDirs: (q, r) => (isOctagon(q, r) ? OCTAGON_DIRS : DIAMOND_DIRS),
+    classOf: (q, r) => (isOctagon(q, r) ? mod((q + r) / 2, 2) : 2),
+    distance: squareDistance,
+    toXY: (q, r, size, gap) => {
+      const unit = octagonUnit(size, gap);
+      return { x: q * unit, y: r * unit };
+    },
+    // The nearest small square when the point is on its side of the gap, else the nearest octagon
+    fromXY: (x, y, size, gap) => {
+      const unit = octagonUnit(size, gap);
+      const dq = 2 * Math.floor(x / (2 * unit)) + 1;
+      const dr = 2 * Math.floor(y / (2 * unit)) + 1;
+      const inner = cellApothem(DIAMOND_CELL, size);
+      const boundary = inner + (Math.SQRT2 * unit - cellApothem(OCTAGON_CELL, size) - inner) / 2;
+      if ((Math.abs(x - dq * unit) + Math.abs(y - dr * unit)) / Math.SQRT2 <= boundary) return { q: dq, r: dr };
+      return { q: 2 * Math.round(x / (2 * unit)) + 0, r: 2 * Math.round(y / (2 * unit)) + 0 };
+    },
+  },
+};
+
+export const TOPOLOGY_NAMES = Object.keys(TOPOLOGIES);
+export const DEFAULT_TOPOLOGY = "hex";
+
+export function areNeighbors(a, b, topology = DEFAULT_TOPOLOGY) {
+  const pa = parseKey(a);
+  const pb = parseKey(b);
+  const { isCell, neighborDirs } = TOPOLOGIES[topology];
+  if (!isCell(pa.q, pa.r) || !isCell(pb.q, pb.r)) return false;
+  return neighborDirs(pa.q, pa.r).some(({ dq, dr }) => pa.q + dq === pb.q && pa.r + dr === pb.r);
+}
+
+const cellOf = (carrier) => carrier.cell ?? HEX_CELL;
+
+// Side count of a carrier, and the angle of its side i's normal before it turns
+export const sideCount = (carrier) => cellOf(carrier).sides;
+export const sideNormalAngle = (carrier, sideIdx) => cellOf(carrier).angle0 + (sideIdx * 2 * Math.PI) / cellOf(carrier).sides;
+
+// Corners of a cell outline of centre-to-corner `radius`, flat sides facing the side normals
+export function cellCorners(cell, radius) {
+  return Array.from({ length: cell.sides }, (_, i) => {
+    const a = cell.angle0 + ((i + 0.5) * 2 * Math.PI) / cell.sides;
+    return { x: radius * Math.cos(a), y: radius * Math.sin(a) };
+  });
+}
+
+// World side index of `carrier` whose normal points closest to (x, y)
+export function nearestSideIndex({ x, y }, carrier = {}) {
+  const { sides, angle0 } = cellOf(carrier);
+  return mod(Math.round(((Math.atan2(y, x) - angle0) * sides) / (2 * Math.PI)), sides);
+}
+
+// Whole rotation steps a carrier has turned (its cell's step: 360° * stepSides / sides)
+export const carrierSteps = (carrier, rotation = carrier.rotation ?? 0) =>
+  Math.round((rotation * sideCount(carrier)) / (2 * Math.PI * cellOf(carrier).stepSides));
+
+// World side showing a carrier's local side after `steps` rotation steps, and back
+export const worldSideOf = (carrier, side, steps) => mod(side + steps * cellOf(carrier).stepSides, sideCount(carrier));
+export const localSideOf = (carrier, worldSide, steps) => mod(worldSide - steps * cellOf(carrier).stepSides, sideCount(carrier));
+
+export function createCarrierModel({ size = HEX_SIZE, gap = HEX_GAP } = {}) {
+  const carriers = []; // { q, r, x, y, key, rotation, cell }
+  const byKey = new Map();
+  const neighbors = new Map(); // key -> neighbour keys, in the topology's neighborDirs order
+  const edges = []; // { key, a, b, sideIdxA, sideIdxB } with world sides at rotation 0
+  const rods = []; // { id, carrier, side, color, feed } with side in the carrier's own frame
+  let connected = new Set();
+  let nextRodId = 1;
+  let topologyName = DEFAULT_TOPOLOGY;
+  let topology = TOPOLOGIES[topologyName];
+
+  const get = (key) => byKey.get(key);
+
+  // Replace the grid; coords that are not cells of the topology are skipped.
+  // Connected edges and rods on carriers that survive are kept.
+  function build(coords, nextTopology = DEFAULT_TOPOLOGY) {
+    if (!TOPOLOGIES[nextTopology]) throw new Error(`unknown topology "${nextTopology}" (expected ${TOPOLOGY_NAMES.join(", ")})`);
+    topologyName = nextTopology;
+    topology = TOPOLOGIES[nextTopology];
+    carriers.length = 0;
+    byKey.clear();
+    neighbors.clear();
+    edges.length = 0;
+
+    coords
+      .filter(({ q, r }) => topology.isCell(q, r))
+      .forEach(({ q, r }) => {
+        const key = keyFor(q, r);
+        const carrier = { q, r, ...topology.toXY(q, r, size, gap), key, rotation: 0, cell: topology.cellAt(q, r) };
+        carriers.push(carrier);
+        byKey.set(key, carrier);
+      });
+
+    carriers.forEach((c) => {
+      neighbors.set(c.key, []);
+      topology.neighborDirs(c.q, c.r).forEach(({ dq, dr }) => {
+        const nb = byKey.get(keyFor(c.q + dq, c.r + dr));
+        if (!nb) return;
+        neighbors.get(c.key).push(nb.key);
+        if (c.key > nb.key) return; // one edge per pair
+        edges.push({
+          key: `${c.key}|${nb.key}`,
+          a: c.key,
+          b: nb.key,
+          sideIdxA: nearestSideIndex({ x: nb.x - c.x, y: nb.y - c.y }, c),
+          sideIdxB: nearestSideIndex({ x: c.x - nb.x, y: c.y - nb.y }, nb),
+        });
+      });
+    });
+
+    setConnected([...connected]);
+    const kept = rods.filter((rod) => byKey.has(rod.carrier));
+    rods.length = 0;
+    rods.push(...kept);
+  }
+
+  function sideNormal(carrier, sideIdx, rotation = carrier.rotation) {
+    const ang = sideNormalAngle(carrier, sideIdx) + rotation;
+    return { nx: Math.cos(ang), ny: Math.sin(ang), ang };
+  }
+
+  function sideMidpoint(carrier, sideIdx, rotation = carrier.rotation) {
+    const n = sideNormal(carrier, sideIdx, rotation);
+    const midDist = cellApothem(cellOf(carrier), size); // centre to side midpoint
+    return {
+      midX: carrier.x + n.nx * midDist,
+      midY: carrier.y + n.ny * midDist,
+      tangentAngle: n.ang + Math.PI / 2,
+      normal: n,
+    };
+  }
+
+  // Local side of `carrier` that currently faces neighbour `nb`
+  function localSideFacing(carrier, nb) {
+    const worldIdx = nearestSideIndex({ x: nb.x - carrier.x, y: nb.y - carrier.y }, carrier);
+    return localSideOf(carrier, worldIdx, carrierSteps(carrier));
+  }
+
+  function rotate(carrier, delta) {
+    carrier.rotation += delta;
+  }
+
+  // Carriers with `offsetOf(key)` taken off their rotation, e.g. the
+  // sequencer's applied offsets to get the orientations before the schedule
+  function carriersAt(offsetOf) {
+    return carriers.map((c) => ({ ...c, rotation: c.rotation - offsetOf(c.key) }));
+  }
+
+  // Connected edges: keys that are not edges of the current grid are dropped
+  function setConnected(keys) {
+    const valid = new Set(edges.map((e) => e.key));
+    connected = new Set(keys.filter((k) => valid.has(k)));
+  }
+
+  function isConnected(key) {
+    return connected.has(key);
+  }
+
+  function toggleEdge(key) {
+    if (connected.has(key)) connected.delete(key);
+    else setConnected([...connected, key]);
+    return connected.has(key);
+  }
+
+  function addRod({ carrier, side = freeRodSide(carrier), color, feed }) {
+    const rod = { id: `rod${nextRodId++}`, carrier, side, color, feed };
+    rods.push(rod);
+    return rod;
+  }
+
+  function removeRod(rod) {
+    const idx = rods.indexOf(rod);
+    if (idx >= 0) rods.splice(idx, 1);
+  }
+
+  // Replace every rod with `specs` ([{ carrier, side?, color?, feed? }])
+  function setRods(specs) {
+    rods.length = 0;
+    specs.filter((r) => byKey.has(r.carrier)).forEach((r) => addRod(r));
+  }
+
+  // First side facing a neighbour that has no rod yet (falls back to side 0)
+  function freeRodSide(key) {
+    const carrier = byKey.get(key);
+    const taken = new Set(rods.filter((r) => r.carrier === key).map((r) => r.side));
+    const facing = (neighbors.get(key) || []).map((k) => localSideFacing(carrier, byKey.get(k)));
+    const sides = Array.from({ length: sideCount(carrier) }, (_, i) => i);
+    return facing.find((side) => !taken.has(side)) ?? sides.find((side) => !taken.has(side)) ?? 0;
+  }
+
+  // Where a rod sits: its anchor side's midpoint, or null when that side does
+  // not face a neighbour closely enough for the rod to reach into a gap
+  function rodPlacement(rod, rotation) {
+    const anchor = byKey.get(rod.carrier);
+    if (!anchor) return null;
+    const side = sideMidpoint(anchor, rod.side, rotation ?? anchor.rotation);
+    let best = -Infinity;
+    (neighbors.get(anchor.key) || []).forEach((k) => {
+      const nb = byKey.get(k);
+      const len = Math.hypot(nb.x - anchor.x, nb.y - anchor.y);
+      if (len < 1e-3) return;
+      best = Math.max(best, ((nb.x - anchor.x) * side.normal.nx + (nb.y - anchor.y) * side.normal.ny) / len);
+    });
+    return best < 0.2 ? null : side;
+  }
+
+  return {
+    carriers,
+    neighbors,
+    edges,
+    rods,
+    size,
+    gap,
+    // Topology name (TOPOLOGIES) of the current grid
+    get topology() {
+      return topologyName;
+    },
+    // Rotation step of the current grid (radians)
+    get stepAngle() {
+      return topology.stepAngle;
+    },
+    get connected() {
+      return [...connected];
+    },
+    get,
+    has: (key) => byKey.has(key),
+    build,
+    // Cell (q, r) under a point of the bed, whether or not a carrier is there
+    cellAt: (x, y) => topology.fromXY(x, y, size, gap),
+    isCell: (q, r) => topology.isCell(q, r),
+    // Carrier key under a point of the bed, or null
+    keyAt(x, y) {
+      const { q, r } = topology.fromXY(x, y, size, gap);
+      const key = keyFor(q, r);
+      return byKey.has(key) ? key : null;
+    },
+    sideNormal,
+    sideMidpoint,
+    localSideFacing,
+    rotate,
+    carriersAt,
+    setConnected,
+    isConnected,
+    toggleEdge,
+    addRod,
+    removeRod,
+    setRods,
+    freeRodSide,
+    rodPlacement,
+  };
+}
@@ -0,0 +1,103 @@
+// node --test Three.js/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TOPOLOGY_NAMES,
+  areNeighbors,
+  carrierSteps,
+  createCarrierModel,
+  localSideOf,
+  mod,
+  nearestSideIndex,
+  parseKey,
+  sideCount,
+  sideNormalAngle,
+  worldSideOf,
+} from "./carrierModel.js";
+import { generateLayout } from "./layouts.js";
+
+const fieldOf = (topology) => {
+  const model = createCarrierModel();
+  model.build(generateLayout({ type: "rectangle", width: 3, height: 3, topology }), topology);
+  return model;
+};
+
+// Two neighbouring cells per topology (an octagon and a small square on the octagon grid)
+const PAIRS = {
+  hex: [["0,0", "1,0"]],
+  square: [["0,0", "1,0"]],
+  octagon: [
+    ["0,0", "2,0"],
+    ["0,0", "1,1"],
+  ],
+};
+
+const sameAngle = (a, b) => Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b))) < 1e-9;
+
+test("the centre carrier has every neighbour of its cell", () => {
+  assert.equal(fieldOf("hex").neighbors.get("0,0").length, 6);
+  assert.equal(fieldOf("square").neighbors.get("0,0").length, 4);
+  const octagon = fieldOf("octagon");
+  assert.equal(octagon.neighbors.get("0,0").length, 8);
+  assert.equal(octagon.neighbors.get("1,1").length, 4);
+});
+
+for (const topology of TOPOLOGY_NAMES) {
+  test(`${topology}: neighbours are mutual and face each other`, () => {
+    const model = fieldOf(topology);
+    model.neighbors.forEach((nbs, key) =>
+      nbs.forEach((nb) => {
+        assert.ok(model.neighbors.get(nb).includes(key), `${nb} lists ${key}`);
+        assert.ok(areNeighbors(key, nb, topology));
+      })
+    );
+    model.edges.forEach(({ a, b, sideIdxA, sideIdxB }) => {
+      const ca = model.get(a);
+      const cb = model.get(b);
+      assert.equal(nearestSideIndex({ x: cb.x - ca.x, y: cb.y - ca.y }, ca), sideIdxA);
+      assert.ok(sameAngle(sideNormalAngle(ca, sideIdxA), sideNormalAngle(cb, sideIdxB) + Math.PI), `${a}|${b} sides are opposite`);
+    });
+  });
+
+  test(`${topology}: carriers are found at their centres`, () => {
+    const model = fieldOf(topology);
+    model.carriers.forEach((c) => {
+      assert.equal(model.keyAt(c.x, c.y), c.key);
+      assert.deepEqual(model.cellAt(c.x, c.y), { q: c.q, r: c.r });
+    });
+  });
+
+  test(`${topology}: side indices round-trip under rotation`, () => {
+    const model = fieldOf(topology);
+    model.carriers.forEach((c) => {
+      for (let steps = -3; steps <= 3; steps++) {
+        const rotation = steps * model.stepAngle;
+        assert.equal(carrierSteps(c, rotation), steps);
+        for (let side = 0; side < sideCount(c); side++) {
+          const world = worldSideOf(c, side, steps);
+          assert.equal(localSideOf(c, world, steps), side);
+          // a turned side points where the world side of that index points
+          assert.ok(sameAngle(model.sideNormal(c, side, rotation).ang, sideNormalAngle(c, world)), `${c.key} side ${side}, ${steps} steps`);
+        }
+      }
+    });
+  });
+
+  test(`${topology}: a rod is placed only on a side facing a neighbour`, () => {
+    PAIRS[topology].forEach(([a, b]) => {
+      const model = createCarrierModel();
+      model.build([parseKey(a), parseKey(b)], topology);
+      const anchor = model.get(a);
+      anchor.rotation = model.stepAngle; // one step turned, so local and world sides differ
+      const facing = model.localSideFacing(anchor, model.get(b));
+      const away = mod(facing + sideCount(anchor) / 2, sideCount(anchor));
+
+      const placed = model.rodPlacement({ carrier: a, side: facing });
+      assert.ok(placed, `${a} side ${facing} faces ${b}`);
+      const nb = model.get(b);
+      assert.ok(Math.hypot(placed.midX - nb.x, placed.midY - nb.y) < Math.hypot(anchor.x - nb.x, anchor.y - nb.y));
+      assert.equal(model.rodPlacement({ carrier: a, side: away }), null);
+      assert.equal(model.freeRodSide(a), facing);
+    });
+  });
+}
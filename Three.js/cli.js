@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Command line runner for braiding programs, for CI and batch scripts (Node,
+ * no browser or renderer).
+ *
+ *   node cli.js run <program.json> [options]       run and print a report (report.js)
+ *   node cli.js validate <program.json> [options]  only say whether it is valid and clean
+ *
+ * Options:
+ *   --layout <file>    use this layout ({ "coords": ... } etc., see program.js) instead of the program's
+ *   --json             print JSON instead of text
+ *   --snapshot <file>  also write the report as a snapshot (run only)
+ *   --compare <file>   compare the report with a saved snapshot (run only)
+ *
+ * Exit code 0 when the program is valid, passes the checks and matches the
+ * snapshot; 1 when it does not; 2 for bad usage or unreadable files.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { validateProgram } from "./program.js";
+import { runReport, formatReport, compareReports } from "./report.js";
+
+const USAGE = "usage: node cli.js run|validate <program.json> [--layout <file>] [--json] [--snapshot <file>] [--compare <file>]";
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const [command, file, ...rest] = argv;
+  if (!["run", "validate"].includes(command) || !file) throw new UsageError(USAGE);
+  const opts = { command, file, json: false, layout: null, snapshot: null, compare: null };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--json") opts.json = true;
+    else if (["--layout", "--snapshot", "--compare"].includes(arg) && rest[i + 1]) opts[arg.slice(2)] = rest[++i];
+    else throw new UsageError(`unknown or incomplete option "${arg}"\n${USAGE}`);
+  }
+  if (command === "validate" && (opts.snapshot || opts.compare)) throw new UsageError("--snapshot and --compare only apply to run");
+  return opts;
+}
+
+async function readJSON(file) {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (e) {
+    throw new UsageError(`cannot read ${file}: ${e.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const err = new Error(`${file} is not valid JSON: ${e.message}`);
+    err.errors = [err.message];
+    throw err;
+  }
+}
+
+const print = (opts, value, text) => console.log(opts.json ? JSON.stringify(value, null, 2) : text);
+
+async function main(argv) {
+  const opts = parseArgs(argv);
+  const data = await readJSON(opts.file);
+  if (opts.layout) data.layout = await readJSON(opts.layout);
+
+  let program;
+  try {
+    program = validateProgram(data);
+  } catch (e) {
+    print(opts, { ok: false, errors: e.errors ?? [e.message] }, e.message);
+    return 1;
+  }
+
+  const report = runReport(program);
+
+  if (opts.command === "validate") {
+    const text = report.ok ? "OK" : [`${report.problems.length} problems:`, ...report.problems.map((p) => `  [${p.type}] ${p.message}`)].join("\n");
+    print(opts, { ok: report.ok, problems: report.problems }, text);
+    return report.ok ? 0 : 1;
+  }
+
+  let differences = [];
+  if (opts.compare) differences = compareReports(await readJSON(opts.compare), report);
+  if (opts.snapshot) await writeFile(opts.snapshot, `${JSON.stringify(report, null, 2)}\n`);
+
+  if (opts.json) print(opts, opts.compare ? { ...report, differences } : report);
+  else {
+    const lines = [formatReport(report)];
+    if (opts.compare) lines.push(differences.length ? `snapshot ${opts.compare} differs:\n  ${differences.join("\n  ")}` : `matches ${opts.compare}`);
+    console.log(lines.join("\n"));
+  }
+  return report.ok && differences.length === 0 ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (e) => {
+    console.error(e.message);
+    process.exitCode = e instanceof UsageError ? 2 : 1;
+  }
+);
@@ -0,0 +1,78 @@
+// node --test Three.js/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("./cli.js", import.meta.url));
+
+const PROGRAM = {
+  format: "3dvideogen-program",
+  version: 1,
+  layout: { coords: [{ q: 0, r: 0 }, { q: 1, r: 0 }] },
+  moves: [{ key: "0,0", dir: "ccw", steps: 1, start: 0, duration: 1 }],
+};
+
+// Runs the CLI in a scratch directory holding `files` (name -> JSON value)
+function run(args, files = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "cli-test-"));
+  try {
+    Object.entries(files).forEach(([name, value]) => writeFileSync(join(dir, name), JSON.stringify(value)));
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: "utf8", timeout: 30000 });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("a valid program runs with exit code 0", () => {
+  const { status, stdout } = run(["run", "p.json"], { "p.json": PROGRAM });
+  assert.equal(status, 0);
+  assert.match(stdout, /^2 carriers, 1 moves, 1 s$/m);
+  assert.match(stdout, /^OK$/m);
+  assert.equal(run(["validate", "p.json"], { "p.json": PROGRAM }).stdout, "OK\n");
+});
+
+test("an invalid program exits with 1 and lists its errors", () => {
+  const bad = { ...PROGRAM, moves: [{ key: "9,9", dir: "cw", steps: 1, start: 0, duration: 1 }] };
+  const { status, stdout } = run(["validate", "p.json", "--json"], { "p.json": bad });
+  assert.equal(status, 1);
+  const { ok, errors } = JSON.parse(stdout);
+  assert.equal(ok, false);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^moves\[0\]/);
+});
+
+test("bad usage and unreadable files exit with 2", () => {
+  assert.equal(run(["walk", "p.json"]).status, 2);
+  assert.equal(run(["run", "p.json", "--frames"], { "p.json": PROGRAM }).status, 2);
+  assert.equal(run(["validate", "p.json", "--compare", "s.json"], { "p.json": PROGRAM }).status, 2);
+  const missing = run(["run", "missing.json"]);
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /cannot read missing\.json/);
+});
+
+test("--compare passes against its own snapshot and fails on a changed one", () => {
+  const dir = mkdtempSync(join(tmpdir(), "cli-test-"));
+  try {
+    const file = (name) => join(dir, name);
+    writeFileSync(file("p.json"), JSON.stringify(PROGRAM));
+    const cli = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 30000 });
+
+    assert.equal(cli("run", file("p.json"), "--snapshot", file("s.json")).status, 0);
+    const same = cli("run", file("p.json"), "--compare", file("s.json"));
+    assert.equal(same.status, 0);
+    assert.match(same.stdout, /^matches /m);
+
+    const snapshot = JSON.parse(readFileSync(file("s.json"), "utf8"));
+    snapshot.orientations["0,0"] = 120;
+    writeFileSync(file("s.json"), JSON.stringify(snapshot));
+    const changed = cli("run", file("p.json"), "--compare", file("s.json"), "--json");
+    assert.equal(changed.status, 1);
+    assert.deepEqual(JSON.parse(changed.stdout).differences, ["orientations.0,0: 120 -> 60"]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
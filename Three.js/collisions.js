@@ -0,0 +1,179 @@
+/**
+ * Collision / interference checker for carrier programs (headless).
+ *
+ * Goes through a whole move list and reports:
+ * - "neighbour-overlap": two neighbouring carriers turning at the same time
+ *   (their meshing sides would fight over the shared edge)
+ * - "rod-collision": two rods in the same gap at the same time, including a
+ *   rod sweeping into a gap that a neighbour's rod is sitting in
+ * - "yarn-swap": two yarns passed across the same edge in opposite directions
+ *   in the same tick, which crosses them in a way no later move can undo
+ * - "mechanics": with mechanics mode on, a move the drive train cannot make
+ *   (see mechanics.js); geared neighbours turning together in step are then
+ *   not a neighbour overlap
+ *
+ * Every problem is { type, step, key, other, time, message } where `step` is
+ * the index into `moves` and `key` the carrier to blame.
+ */
+
+import { edgeKey, carrierSteps, worldSideOf } from "./carrierModel.js";
+import { neighbourSideTable, moveTicks } from "./yarnSim.js";
+import { checkMechanics, meshesWith } from "./mechanics.js";
+
+const MIN_SPAN = 1e-6; // zero-duration moves still occupy an instant
+const overlaps = (a0, a1, b0, b1) => Math.max(a0, b0) < Math.min(a1, b1);
+
+function moveSpan(m) {
+  return [m.start, m.start + Math.max(m.duration, MIN_SPAN)];
+}
+
+function checkNeighbourOverlap(moves, neighbors, mechanics, problems) {
+  moves.forEach((a, i) => {
+    const nbs = neighbors.get(a.key) || [];
+    const [a0, a1] = moveSpan(a);
+    for (let j = i + 1; j < moves.length; j++) {
+      const b = moves[j];
+      if (!nbs.includes(b.key)) continue;
+      const [b0, b1] = moveSpan(b);
+      if (!overlaps(a0, a1, b0, b1)) continue;
+      if (mechanics && meshesWith(mechanics, a, b)) continue;
+      problems.push({
+        type: "neighbour-overlap",
+        step: j,
+        key: b.key,
+        other: a.key,
+        time: Math.max(a0, b0),
+        message: `step ${j}: ${b.key} turns while its neighbour ${a.key} is turning (step ${i}) on shared edge ${edgeKey(a.key, b.key)}`,
+      });
+    }
+  });
+}
+
+// Intervals [{ from, to, edge, step }] during which a rod sits in a gap
+// (step -1) or sweeps through it while move `step` turns its carrier
+function rodOccupancy(rod, carriers, neighbourAt, ticks, horizon) {
+  const carrier = carriers.find((c) => c.key === rod.carrier);
+  if (!carrier) return [];
+  let steps = carrierSteps(carrier);
+  const gapAt = (k) => {
+    const nb = neighbourAt.get(rod.carrier)[worldSideOf(carrier, rod.side, k)];
+    return nb ? edgeKey(rod.carrier, nb) : null;
+  };
+
+  const spans = [];
+  let restFrom = 0;
+  ticks
+    .filter((t) => t.key === rod.carrier)
+    .forEach((t) => {
+      const before = gapAt(steps);
+      steps += t.sign;
+      const after = gapAt(steps);
+      const to = Math.max(t.time, t.from + MIN_SPAN);
+      if (before && t.from > restFrom) spans.push({ from: restFrom, to: t.from, edge: before, step: -1 });
+      if (before) spans.push({ from: t.from, to, edge: before, step: t.order });
+      if (after) spans.push({ from: t.from, to, edge: after, step: t.order });
+      restFrom = t.time;
+    });
+  const last = gapAt(steps);
+  if (last) spans.push({ from: restFrom, to: horizon, edge: last, step: -1 });
+  return spans;
+}
+
+function checkRods(rods, carriers, neighbors, moves, problems) {
+  const neighbourAt = neighbourSideTable(carriers, neighbors);
+  const ticks = moveTicks(moves);
+  const horizon = Math.max(MIN_SPAN, ...moves.map((m) => moveSpan(m)[1])) + 1;
+  const occupancy = rods.map((rod) => rodOccupancy(rod, carriers, neighbourAt, ticks, horizon));
+  const seen = new Set();
+
+  for (let i = 0; i < rods.length; i++) {
+    for (let j = i + 1; j < rods.length; j++) {
+      if (rods[i].carrier === rods[j].carrier) continue;
+      occupancy[i].forEach((a) => {
+        occupancy[j].forEach((b) => {
+          if (a.edge !== b.edge || !overlaps(a.from, a.to, b.from, b.to)) return;
+          // Two resting rods only clash on their own if they start that way;
+          // otherwise the sweep that brought one of them in is reported
+          if (a.step < 0 && b.step < 0 && Math.max(a.from, b.from) > 0) return;
+          // Blame the rod that is moving, or the later of two moving rods
+          const bMoves = b.step >= 0 && (a.step < 0 || b.from >= a.from);
+          const mover = bMoves ? { span: b, rod: rods[j], other: rods[i] } : { span: a, rod: rods[i], other: rods[j] };
+          const step = mover.span.step;
+          const id = `${i}|${j}|${a.edge}|${step}`;
+          if (seen.has(id)) return;
+          seen.add(id);
+          problems.push({
+            type: "rod-collision",
+            step,
+            key: mover.rod.carrier,
+            other: mover.other.carrier,
+            time: Math.max(a.from, b.from),
+            message:
+              step >= 0
+                ? `step ${step}: rod on ${mover.rod.carrier} sweeps through gap ${a.edge} while the rod on ${mover.other.carrier} is in it`
+                : `rods on ${mover.rod.carrier} and ${mover.other.carrier} both sit in gap ${a.edge}`,
+          });
+        });
+      });
+    }
+  }
+}
+
+function stepForTick(moves, key, time) {
+  return moves.findIndex((m) => m.key === key && m.start <= time && time <= m.start + m.duration);
+}
+
+function checkYarnSwaps(transfers, moves, problems) {
+  const byTimeEdge = new Map();
+  transfers.forEach((t) => {
+    const id = `${t.time}|${t.edge}`;
+    if (!byTimeEdge.has(id)) byTimeEdge.set(id, []);
+    byTimeEdge.get(id).push(t);
+  });
+  byTimeEdge.forEach((list) => {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const a = list[i];
+        const b = list[j];
+        if (a.from !== b.to || a.to !== b.from) continue;
+        problems.push({
+          type: "yarn-swap",
+          step: stepForTick(moves, b.from, b.time),
+          key: b.from,
+          other: a.from,
+          time: a.time,
+          message: `yarns ${a.yarn} and ${b.yarn} cross through each other on edge ${a.edge} at t=${a.time}`,
+        });
+      }
+    }
+  });
+}
+
+/**
+ * carriers:  [{ key, x, y, rotation }]   (rotation before the schedule runs)
+ * neighbors: Map key -> [neighbour keys]
+ * moves:     sequencer steps
+ * rods:      [{ carrier, side }]          side in the carrier's own frame
+ * transfers: yarnSim's `transfers` output (optional)
+ * mechanics: drive-train config (mechanics.js), or null when mechanics mode is off
+ *
+ * Returns problems sorted by time.
+ */
+export function checkProgram({ carriers, neighbors, moves = [], rods = [], transfers = [], mechanics = null }) {
+  const problems = [];
+  checkNeighbourOverlap(moves, neighbors, mechanics, problems);
+  checkRods(rods, carriers, neighbors, moves, problems);
+  checkYarnSwaps(transfers, moves, problems);
+  if (mechanics) problems.push(...checkMechanics({ neighbors, moves, config: mechanics }));
+  return problems.sort((a, b) => a.time - b.time);
+}
+
+// Carrier keys named in a problem list, for highlighting
+export function conflictKeys(problems) {
+  const keys = new Set();
+  problems.forEach((p) => {
+    if (p.key) keys.add(p.key);
+    if (p.other) keys.add(p.other);
+  });
+  return keys;
+}
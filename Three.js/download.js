@@ -0,0 +1,16 @@
+/**
+ * Save generated files from the browser via a temporary <a download>.
+ */
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadText(text, fileName, type = "text/plain") {
+  downloadBlob(new Blob([text], { type }), fileName);
+}
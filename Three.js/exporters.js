@@ -0,0 +1,80 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { OBJExporter } from "three/examples/jsm/exporters/OBJExporter.js";
+import { STLExporter } from "three/examples/jsm/exporters/STLExporter.js";
+
+/**
+ * Geometry export for downstream tools (FE meshing, CAD).
+ * - glTF / GLB: the whole scene with its material colours
+ * - OBJ:        the whole scene, geometry only
+ * - STL:        just the meshes passed in (the yarn tubes)
+ * Centerline CSV / JSON is headless and lives in braid.js.
+ *
+ * Instanced meshes (carrierInstances.js) are written out as one mesh per
+ * instance, so every exporter sees every carrier in its own colour.
+ */
+
+// Copy of `object` with each InstancedMesh replaced by a group of plain
+// meshes; hidden (zero-scale) instances are left out
+function withoutInstances(object) {
+  const copy = object.clone();
+  const instanced = [];
+  copy.traverse((child) => {
+    if (child.isInstancedMesh) instanced.push(child);
+  });
+  const matrix = new THREE.Matrix4();
+  const color = new THREE.Color();
+  instanced.forEach((mesh) => {
+    const group = new THREE.Group();
+    group.name = mesh.name;
+    group.visible = mesh.visible;
+    group.matrix.copy(mesh.matrix);
+    group.matrix.decompose(group.position, group.quaternion, group.scale);
+    const materials = new Map(); // instance colour -> material
+    for (let i = 0; i < mesh.count; i++) {
+      mesh.getMatrixAt(i, matrix);
+      if (matrix.determinant() === 0) continue;
+      let material = mesh.material;
+      if (mesh.instanceColor) {
+        mesh.getColorAt(i, color);
+        if (!materials.has(color.getHex())) {
+          const tinted = mesh.material.clone();
+          tinted.color.multiply(color);
+          materials.set(color.getHex(), tinted);
+        }
+        material = materials.get(color.getHex());
+      }
+      const part = new THREE.Mesh(mesh.geometry, material);
+      part.name = `${mesh.name} ${i}`;
+      part.applyMatrix4(matrix);
+      group.add(part);
+    }
+    mesh.parent.add(group);
+    mesh.removeFromParent();
+  });
+  return copy;
+}
+
+// Resolves to an ArrayBuffer (binary) or a glTF JSON object
+export function exportGLTF(object, { binary = true } = {}) {
+  return new GLTFExporter().parseAsync(withoutInstances(object), { binary, onlyVisible: true });
+}
+
+export function exportOBJ(object) {
+  return new OBJExporter().parse(withoutInstances(object));
+}
+
+// ASCII STL of the given meshes, baked into world space
+export function exportSTL(meshes) {
+  const root = new THREE.Group();
+  meshes.forEach((mesh) => {
+    mesh.updateMatrixWorld(true);
+    const copy = new THREE.Mesh(mesh.geometry, mesh.material);
+    copy.name = mesh.name;
+    copy.matrixAutoUpdate = false;
+    copy.matrix.copy(mesh.matrixWorld);
+    root.add(copy);
+  });
+  root.updateMatrixWorld(true);
+  return new STLExporter().parse(root, { binary: false });
+}
@@ -0,0 +1,115 @@
+/**
+ * Carrier selections and named groups (headless: no THREE / DOM).
+ *
+ * Selection helpers work on the grid's (q, r) coordinates (carrierModel.js
+ * TOPOLOGIES). Lines run along the topology's neighbour directions:
+ * - row:          same r (a horizontal line of carriers)
+ * - column:       same q (slanting up to the right on the hex grid, upright
+ *                 on the square grids)
+ * - diagonal:     slanting up to the left (same q + r on the hex grid)
+ * - antidiagonal: slanting up to the right (same q - r; octagon grid only)
+ * - ring:         same topology distance from 0,0, the centre of the
+ *                 generated layouts
+ *
+ * Programs can name groups, { "A": ["0,0", "1,0"] }, and a move may target
+ * a group instead of one carrier: { "group": "A", "dir": "cw", "steps": 2, ... }.
+ * The sequencer only knows single-carrier moves, so group moves are expanded
+ * into one move per member, tagged with the group, and collapsed again when
+ * the program is saved.
+ */
+
+import { DEFAULT_TOPOLOGY, TOPOLOGIES, parseKey } from "./carrierModel.js";
+
+export const LINE_AXES = ["row", "column", "diagonal", "antidiagonal"];
+
+const axisOf = ({ dq, dr }) => (dr === 0 ? "row" : dq === 0 ? "column" : dq * dr < 0 ? "diagonal" : "antidiagonal");
+
+// Axis name -> direction, one per neighbour direction of the topology up to sign
+function lineDirs(topology) {
+  const dirs = new Map();
+  TOPOLOGIES[topology].neighborDirs(0, 0).forEach((d) => {
+    if (!dirs.has(axisOf(d))) dirs.set(axisOf(d), d);
+  });
+  return dirs;
+}
+
+// Line axes the topology has, in LINE_AXES order
+export function lineAxes(topology = DEFAULT_TOPOLOGY) {
+  const dirs = lineDirs(topology);
+  return LINE_AXES.filter((axis) => dirs.has(axis));
+}
+
+// Keys of the carriers in line with `key` along `axis`
+export function lineKeys(carriers, key, axis, topology = DEFAULT_TOPOLOGY) {
+  if (!LINE_AXES.includes(axis)) throw new Error(`unknown axis "${axis}" (expected ${LINE_AXES.join(", ")})`);
+  const dir = lineDirs(topology).get(axis);
+  if (!dir) throw new Error(`the ${topology} grid has no ${axis} lines`);
+  // Constant along the line: the cross product with its direction
+  const value = ({ q, r }) => q * dir.dr - r * dir.dq;
+  const v = value(parseKey(key));
+  return carriers.filter((c) => value(c) === v).map((c) => c.key);
+}
+
+// Keys of the carriers as far from 0,0 as `key`
+export function ringKeys(carriers, key, topology = DEFAULT_TOPOLOGY) {
+  const { distance } = TOPOLOGIES[topology];
+  const origin = { q: 0, r: 0 };
+  const d = distance(parseKey(key), origin);
+  return carriers.filter((c) => distance(c, origin) === d).map((c) => c.key);
+}
+
+// Names that would clash with Object.prototype ("__proto__", "toString", ...)
+const RESERVED_NAMES = new Set(Object.getOwnPropertyNames(Object.prototype));
+
+// Why `name` cannot name a group, or null when it can
+export function groupNameError(name) {
+  if (typeof name !== "string" || !name.trim()) return "a group needs a name";
+  if (RESERVED_NAMES.has(name)) return `"${name}" is reserved and cannot name a group`;
+  return null;
+}
+
+// Members of a group, or undefined; only the object's own names count
+export const groupMembers = (groups, name) => (Object.hasOwn(groups, name) ? groups[name] : undefined);
+
+// Group moves -> one move per member carrier, tagged with `group`
+export function expandGroupMoves(moves, groups) {
+  return moves.flatMap((m) => {
+    if (m.group === undefined) return [m];
+    const { group, ...move } = m;
+    return (groupMembers(groups, group) ?? []).map((key) => ({ ...move, key, group }));
+  });
+}
+
+/**
+ * Inverse of expandGroupMoves: moves tagged with a group that still cover
+ * every member with the same timing become one group move again; anything
+ * else is kept as single-carrier moves. Order follows the first member.
+ */
+export function collapseGroupMoves(moves, groups) {
+  const timing = (m) => `${m.group}|${m.dir}|${m.steps}|${m.start}|${m.duration}`;
+  const byTiming = new Map();
+  moves.forEach((m) => {
+    if (m.group === undefined) return;
+    if (!byTiming.has(timing(m))) byTiming.set(timing(m), new Set());
+    byTiming.get(timing(m)).add(m.key);
+  });
+  const complete = (m) => {
+    const members = groupMembers(groups, m.group) ?? [];
+    const keys = byTiming.get(timing(m));
+    return members.length > 0 && members.length === keys.size && members.every((k) => keys.has(k));
+  };
+  const emitted = new Set();
+  const result = [];
+  moves.forEach((m) => {
+    if (m.group === undefined || !complete(m)) {
+      const { group: _group, ...single } = m;
+      result.push(single);
+      return;
+    }
+    if (emitted.has(timing(m))) return;
+    emitted.add(timing(m));
+    const { key: _key, ...move } = m;
+    result.push(move);
+  });
+  return result;
+}
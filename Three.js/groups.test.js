@@ -0,0 +1,51 @@
+// node --test Three.js/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCarrierModel } from "./carrierModel.js";
+import { generateLayout } from "./layouts.js";
+import { collapseGroupMoves, expandGroupMoves, groupNameError, lineAxes, lineKeys, ringKeys } from "./groups.js";
+
+const carriersOf = (topology, spec) => {
+  const model = createCarrierModel();
+  model.build(generateLayout({ ...spec, topology }), topology);
+  return model.carriers;
+};
+
+const sorted = (keys) => [...keys].sort();
+
+test("hex lines and rings follow the axial axes", () => {
+  const carriers = carriersOf("hex", { type: "hexagon", radius: 2 });
+  assert.deepEqual(lineAxes("hex"), ["row", "column", "diagonal"]);
+  assert.deepEqual(sorted(lineKeys(carriers, "0,0", "diagonal", "hex")), ["-1,1", "-2,2", "0,0", "1,-1", "2,-2"]);
+  assert.equal(ringKeys(carriers, "1,0", "hex").length, 6);
+  assert.equal(ringKeys(carriers, "2,-1", "hex").length, 12);
+});
+
+test("square rings are squares and lines are rows and columns", () => {
+  const carriers = carriersOf("square", { type: "rectangle", width: 5, height: 5 });
+  assert.deepEqual(lineAxes("square"), ["row", "column"]);
+  assert.deepEqual(sorted(ringKeys(carriers, "1,1", "square")), sorted(ringKeys(carriers, "1,-1", "square")));
+  assert.equal(ringKeys(carriers, "1,0", "square").length, 8);
+  assert.deepEqual(sorted(lineKeys(carriers, "1,2", "column", "square")), ["1,-1", "1,-2", "1,0", "1,1", "1,2"]);
+  assert.throws(() => lineKeys(carriers, "0,0", "diagonal", "square"), /no diagonal lines/);
+});
+
+test("octagon grid lines include both diagonals through the small squares", () => {
+  const carriers = carriersOf("octagon", { type: "rectangle", width: 3, height: 3 });
+  assert.deepEqual(lineAxes("octagon"), ["row", "column", "diagonal", "antidiagonal"]);
+  assert.deepEqual(sorted(lineKeys(carriers, "0,0", "antidiagonal", "octagon")), ["-1,-1", "-2,-2", "0,0", "1,1", "2,2"]);
+  assert.deepEqual(sorted(lineKeys(carriers, "0,0", "diagonal", "octagon")), ["-1,1", "-2,2", "0,0", "1,-1", "2,-2"]);
+  assert.deepEqual(sorted(ringKeys(carriers, "1,1", "octagon")), ["-1,-1", "-1,1", "1,-1", "1,1"]);
+});
+
+test("group moves only use the groups' own names", () => {
+  const groups = { A: ["0,0", "1,0"] };
+  const move = { dir: "cw", steps: 1, start: 0, duration: 1 };
+  const expanded = expandGroupMoves([{ ...move, group: "A" }, { ...move, group: "toString" }], groups);
+  assert.deepEqual(expanded.map((m) => m.key), ["0,0", "1,0"]);
+  assert.deepEqual(collapseGroupMoves(expanded, groups), [{ ...move, group: "A" }]);
+  assert.deepEqual(collapseGroupMoves([{ ...move, key: "0,0", group: "toString" }], groups), [{ ...move, key: "0,0" }]);
+  assert.equal(groupNameError("A"), null);
+  assert.match(groupNameError("__proto__"), /reserved/);
+  assert.match(groupNameError(" "), /needs a name/);
+});
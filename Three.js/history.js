@@ -0,0 +1,107 @@
+/**
+ * Undo / redo stack for hand edits (headless: no THREE / DOM).
+ *
+ * An entry is { type, label, undo(), redo(), ...details }. The session
+ * (session.js) records one per rotation, selection change, edge toggle,
+ * group change and layout edit, and runs undo / redo without recording them
+ * again.
+ *
+ * Rotation entries also carry { turns: [{ key, delta }] } and edge entries
+ * { edge, connected }, so `historyToSchedule` can turn a hand-made sequence into a
+ * schedule for the sequencer (sequencer.js).
+ */
+
+export function createHistory({ limit = 500, onChange } = {}) {
+  const done = [];
+  const undone = [];
+  let replaying = false;
+
+  const changed = () => {
+    if (onChange) onChange();
+  };
+
+  function record(entry) {
+    if (replaying) return;
+    done.push(entry);
+    if (done.length > limit) done.shift();
+    undone.length = 0;
+    changed();
+  }
+
+  // Run an entry's undo / redo with recording switched off
+  function replay(entry, fn) {
+    replaying = true;
+    try {
+      fn.call(entry);
+    } finally {
+      replaying = false;
+    }
+    changed();
+    return entry;
+  }
+
+  function undo() {
+    const entry = done.pop();
+    if (!entry) return null;
+    undone.push(entry);
+    return replay(entry, entry.undo);
+  }
+
+  function redo() {
+    const entry = undone.pop();
+    if (!entry) return null;
+    done.push(entry);
+    return replay(entry, entry.redo);
+  }
+
+  function clear() {
+    done.length = 0;
+    undone.length = 0;
+    changed();
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    get canUndo() {
+      return done.length > 0;
+    },
+    get canRedo() {
+      return undone.length > 0;
+    },
+    // Entries that are currently applied, oldest first
+    get entries() {
+      return [...done];
+    },
+  };
+}
+
+/**
+ * Schedule (sequencer.js) for the rotation and edge entries, one after
+ * another: `duration` seconds per move with `pause` seconds between moves.
+ * A rotation of several carriers (a group, or carriers geared together, see
+ * mechanics.js) becomes simultaneous moves. An edge toggle
+ * happens at the time the next move would start. Rotations count in
+ * `stepAngle` steps, which is required: the grid's (model.stepAngle, see
+ * carrierModel.js TOPOLOGIES).
+ * Returns { moves, edgeEvents }; other entry types are ignored.
+ */
+export function historyToSchedule(entries, { stepAngle, duration = 0.8, pause = 0.2 } = {}) {
+  if (!(stepAngle > 0)) throw new Error("historyToSchedule: stepAngle must be the grid's rotation step in radians");
+  const moves = [];
+  const edgeEvents = [];
+  let start = 0;
+  entries.forEach((e) => {
+    if (e.type === "edge") edgeEvents.push({ edge: e.edge, connected: e.connected, time: start });
+    if (e.type !== "rotate") return;
+    const turned = e.turns
+      .map(({ key, delta }) => ({ key, delta, steps: Math.abs(Math.round(delta / stepAngle)) }))
+      .filter((t) => t.steps > 0);
+    if (turned.length === 0) return;
+    turned.forEach(({ key, delta, steps }) => moves.push({ key, dir: delta < 0 ? "cw" : "ccw", steps, start, duration }));
+    start = Math.round((start + duration + pause) * 1e6) / 1e6;
+  });
+  return { moves, edgeEvents };
+}
@@ -0,0 +1,184 @@
+/**
+ * Inspector overlay (top right): the carrier under the pointer, or the
+ * selected one, and the simulation clock. Builds its own DOM like
+ * transport.js; every edit goes through the session (session.js), so it
+ * shows in both views and is undoable where the session records it.
+ */
+
+import { carrierSteps, sideCount, worldSideOf, edgeKey } from "./carrierModel.js";
+import { yarnsAt } from "./yarnSim.js";
+import { couplingOf } from "./mechanics.js";
+
+const toDegrees = (rad) => Math.round((rad * 180) / Math.PI);
+
+export function createInspector(session, parent = document.body) {
+  const { model, sequencer } = session;
+
+  const panel = document.createElement("div");
+  panel.style.cssText =
+    "position:fixed;right:12px;top:12px;width:240px;display:flex;flex-direction:column;gap:4px;" +
+    "font:12px system-ui,sans-serif;background:rgba(255,255,255,0.85);padding:6px 8px;border-radius:6px;";
+  parent.appendChild(panel);
+
+  const row = (label) => {
+    const line = document.createElement("div");
+    line.style.cssText = "display:flex;gap:6px;align-items:center;flex-wrap:wrap;";
+    const name = document.createElement("span");
+    name.textContent = label;
+    name.style.cssText = "min-width:72px;color:#666;";
+    const value = document.createElement("span");
+    value.style.cssText = "display:flex;gap:4px;align-items:center;flex-wrap:wrap;";
+    line.append(name, value);
+    panel.appendChild(line);
+    return { line, value };
+  };
+
+  const numberInput = (step, width = "56px") => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = String(step);
+    input.style.width = width;
+    return input;
+  };
+
+  // Inputs are only refreshed while the user isn't typing in them
+  const setValue = (input, value) => {
+    if (document.activeElement !== input) input.value = value;
+  };
+
+  // ---------- Global: simulation time and program step ----------
+  const timeRow = row("time (s)");
+  const timeInput = numberInput(0.1);
+  timeInput.min = "0";
+  const timeTotal = document.createElement("span");
+  timeRow.value.append(timeInput, timeTotal);
+  timeInput.addEventListener("change", () => {
+    sequencer.pause();
+    sequencer.seek(Number(timeInput.value) || 0);
+  });
+
+  const stepRow = row("step");
+
+  const divider = document.createElement("hr");
+  divider.style.cssText = "width:100%;border:none;border-top:1px solid #ccc;margin:2px 0;";
+  panel.appendChild(divider);
+
+  // ---------- Carrier ----------
+  const carrierRow = row("carrier");
+  const orientRow = row("orientation");
+  const orientInput = numberInput(60);
+  const orientSteps = document.createElement("span");
+  orientRow.value.append(orientInput, "°", orientSteps);
+  const neighbourRow = row("neighbours");
+  const edgeRow = row("edges");
+  const rodRow = row("rods");
+  const yarnRow = row("yarns");
+  const carrierRows = [orientRow, neighbourRow, edgeRow, rodRow, yarnRow];
+
+  // Typed orientations snap to whole steps of the grid
+  orientInput.addEventListener("change", () => {
+    const carrier = shown();
+    const deg = Number(orientInput.value);
+    if (!carrier || !Number.isFinite(deg)) return;
+    session.setOrientation(carrier, Math.round(deg / toDegrees(model.stepAngle)) * model.stepAngle);
+  });
+
+  // Hovered carrier first, else the selection
+  const shown = () => session.hovered ?? session.selected;
+  let shownKey = null; // carrier the lists below were built for
+  let listsStale = true;
+
+  const checkbox = (label, checked, onChange) => {
+    const wrap = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = checked;
+    box.addEventListener("change", () => onChange(box.checked));
+    wrap.append(box, label);
+    return wrap;
+  };
+
+  // Lists with controls are rebuilt only when they change, so clicks land
+  function rebuildLists(carrier) {
+    const nbs = model.neighbors.get(carrier.key) ?? [];
+    neighbourRow.value.textContent = nbs.length ? nbs.join("  ") : "none";
+
+    edgeRow.value.replaceChildren(
+      ...nbs.map((nb) => {
+        const key = edgeKey(carrier.key, nb);
+        // With mechanics on, the label also names the coupling (mechanics.js)
+        const label = session.mechanics ? `${nb} (${couplingOf(session.mechanics, carrier.key, nb)})` : nb;
+        return checkbox(label, session.isConnected(key), () => session.toggleEdge(key));
+      })
+    );
+    if (!nbs.length) edgeRow.value.textContent = "none";
+
+    const rods = model.rods.filter((r) => r.carrier === carrier.key);
+    rodRow.value.replaceChildren(
+      ...rods.map((rod) => {
+        const side = document.createElement("select");
+        side.title = `${rod.id}: anchor side (carrier's own frame)`;
+        for (let i = 0; i < sideCount(carrier); i++) side.add(new Option(`side ${i}`, String(i)));
+        side.value = String(rod.side);
+        side.addEventListener("change", () => session.setRodSide(rod, Number(side.value)));
+        return side;
+      })
+    );
+    if (!rods.length) rodRow.value.textContent = "none";
+    listsStale = false;
+  }
+
+  function syncCarrier() {
+    const carrier = shown();
+    carrierRows.forEach((r) => (r.line.style.display = carrier ? "" : "none"));
+    if (!carrier) {
+      carrierRow.value.textContent = "none (hover or click one)";
+      shownKey = null;
+      return;
+    }
+    const count = session.selection.length;
+    const which = carrier === session.hovered && carrier !== session.selected ? "hovered" : "selected";
+    carrierRow.value.textContent = `${carrier.key} (${which}${count > 1 ? `, ${count} in selection` : ""})`;
+
+    const steps = carrierSteps(carrier);
+    orientInput.step = String(toDegrees(model.stepAngle));
+    setValue(orientInput, String(toDegrees(carrier.rotation)));
+    orientSteps.textContent = `${steps} step${Math.abs(steps) === 1 ? "" : "s"} (side 0 → world ${worldSideOf(carrier, 0, steps)})`;
+
+    if (carrier.key !== shownKey || listsStale) {
+      shownKey = carrier.key;
+      rebuildLists(carrier);
+    }
+
+    const yarns = [...yarnsAt(session.yarnRun.paths, sequencer.time)]
+      .filter(([, pos]) => pos.carrier === carrier.key)
+      .map(([id, pos]) => `${id} (side ${pos.side})`);
+    yarnRow.value.textContent = yarns.length ? yarns.join(", ") : "none";
+  }
+
+  // Call once per frame, like the transport bar
+  function sync() {
+    const total = sequencer.duration();
+    setValue(timeInput, sequencer.time.toFixed(2));
+    timeInput.max = String(total);
+    timeTotal.textContent = `/ ${total.toFixed(2)}${sequencer.playing ? " ▶" : ""}`;
+
+    const idx = sequencer.currentStepIndex();
+    const steps = sequencer.steps;
+    const step = steps[idx];
+    stepRow.value.textContent = step
+      ? `${idx + 1} / ${steps.length}: ${step.group ? `${step.key} (group ${step.group})` : step.key} ${step.dir} ${step.steps} @ ${step.start}s`
+      : `0 / ${steps.length}`;
+
+    syncCarrier();
+  }
+
+  ["field", "rods", "edges", "select", "hover", "mechanics"].forEach((event) =>
+    session.on(event, () => {
+      listsStale = true;
+    })
+  );
+  sync();
+
+  return { element: panel, sync };
+}
@@ -0,0 +1,99 @@
+/**
+ * Layout editor panel: pick a grid topology (carrierModel.js), a generator
+ * (layouts.js) and size, or toggle
+ * single cells by clicking the canvas while edit mode is on. The views own
+ * the clicks and the rebuild; this file only holds the controls.
+ */
+
+import { LAYOUT_SHAPES, generateLayout } from "./layouts.js";
+import { TOPOLOGIES, TOPOLOGY_NAMES, DEFAULT_TOPOLOGY } from "./carrierModel.js";
+import { MAX_LAYOUT_RADIUS, MAX_LAYOUT_SIZE } from "./program.js";
+
+export function createLayoutEditor({ toolbar, onGenerate, onToggle }) {
+  let active = false;
+
+  const panel = toolbar.addPanel();
+
+  const topology = document.createElement("select");
+  topology.title = "Grid the carriers sit on";
+  TOPOLOGY_NAMES.forEach((name) => topology.add(new Option(TOPOLOGIES[name].label, name)));
+  topology.value = DEFAULT_TOPOLOGY;
+  panel.appendChild(topology);
+
+  const shape = document.createElement("select");
+  LAYOUT_SHAPES.forEach((name) => shape.add(new Option(name, name)));
+  panel.appendChild(shape);
+
+  const numberInput = (label, value) => {
+    const wrap = document.createElement("label");
+    wrap.textContent = `${label} `;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = "0";
+    input.value = String(value);
+    input.style.width = "48px";
+    wrap.appendChild(input);
+    panel.appendChild(wrap);
+    return { wrap, input };
+  };
+  const radius = numberInput("radius", 3);
+  const width = numberInput("width", 10);
+  const height = numberInput("height", 8);
+  width.input.min = "1";
+  height.input.min = "1";
+
+  const syncInputs = () => {
+    const hex = shape.value === "hexagon";
+    radius.wrap.style.display = hex ? "" : "none";
+    width.wrap.style.display = hex ? "none" : "";
+    height.wrap.style.display = hex ? "none" : "";
+  };
+  shape.addEventListener("change", syncInputs);
+  syncInputs();
+
+  const generate = document.createElement("button");
+  generate.textContent = "Generate";
+  // Whole number min..max typed into a size input, or null (empty, text, fractions, too big)
+  const sizeOf = ({ input }, min, max) => {
+    const text = input.value.trim();
+    const n = Number(text);
+    return text !== "" && Number.isInteger(n) && n >= min && n <= max ? n : null;
+  };
+
+  generate.addEventListener("click", () => {
+    const hex = shape.value === "hexagon";
+    const sizes = hex
+      ? { radius: sizeOf(radius, 0, MAX_LAYOUT_RADIUS) }
+      : { width: sizeOf(width, 1, MAX_LAYOUT_SIZE), height: sizeOf(height, 1, MAX_LAYOUT_SIZE) };
+    const bad = Object.keys(sizes).filter((name) => sizes[name] === null);
+    if (bad.length) {
+      const rule = hex ? `a whole number 0..${MAX_LAYOUT_RADIUS}` : `whole numbers 1..${MAX_LAYOUT_SIZE}`;
+      toolbar.showMessage(`Layout not changed: ${bad.join(" and ")} must be ${rule}`, { error: true });
+      return;
+    }
+    const spec = { type: shape.value, topology: topology.value, ...sizes };
+    onGenerate(generateLayout(spec), spec.topology);
+  });
+  panel.appendChild(generate);
+
+  const hint = document.createElement("span");
+  hint.textContent = "Click an empty cell to add a carrier, a carrier to remove it.";
+  panel.appendChild(hint);
+
+  const toggleButton = toolbar.addButton("Layout", "Edit the carrier layout", () => {
+    active = !active;
+    panel.style.display = active ? "flex" : "none";
+    toggleButton.style.fontWeight = active ? "bold" : "";
+    if (onToggle) onToggle(active);
+  });
+
+  return {
+    get active() {
+      return active;
+    },
+    // Show the grid of the loaded field, so Generate keeps it by default
+    setTopology(name) {
+      topology.value = name;
+    },
+  };
+}
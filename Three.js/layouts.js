@@ -0,0 +1,106 @@
+/**
+ * Carrier field generators for each topology (carrierModel.js TOPOLOGIES).
+ * No THREE / DOM.
+ *
+ * Shapes:
+ * - hexagon:       every cell within `radius` steps of 0,0 (on the square
+ *                  grids: neighbour steps, so a diamond of cells)
+ * - rectangle:     `width` x `height`, rows offset so the outline stays square;
+ *                  on the octagon grid `width` x `height` octagons with the small
+ *                  squares between them
+ * - parallelogram: `width` x `height` straight along the q and r axes (the
+ *                  same as rectangle on the square grids)
+ */
+
+import { DEFAULT_TOPOLOGY, TOPOLOGIES, keyFor } from "./carrierModel.js";
+
+export const LAYOUT_SHAPES = ["hexagon", "rectangle", "parallelogram"];
+
+export function hexagonCoords(radius) {
+  const coords = [];
+  for (let q = -radius; q <= radius; q++) {
+    const r1 = Math.max(-radius, -q - radius);
+    const r2 = Math.min(radius, -q + radius);
+    for (let r = r1; r <= r2; r++) coords.push({ q, r });
+  }
+  return coords;
+}
+
+export function rectangleCoords(width, height) {
+  const coords = [];
+  const r0 = 0 - Math.floor((height - 1) / 2);
+  for (let r = r0; r < r0 + height; r++) {
+    const qOffset = 0 - Math.floor(r / 2); // undo the axial skew row by row
+    const q0 = qOffset - Math.floor((width - 1) / 2);
+    for (let q = q0; q < q0 + width; q++) coords.push({ q, r });
+  }
+  return coords;
+}
+
+// Cells within `radius` neighbour steps of 0,0, breadth first
+export function ballCoords(topology, radius) {
+  const { neighborDirs } = TOPOLOGIES[topology];
+  const seen = new Set([keyFor(0, 0)]);
+  const coords = [{ q: 0, r: 0 }];
+  let ring = coords;
+  for (let d = 0; d < radius; d++) {
+    const next = [];
+    ring.forEach(({ q, r }) =>
+      neighborDirs(q, r).forEach(({ dq, dr }) => {
+        const key = keyFor(q + dq, r + dr);
+        if (seen.has(key)) return;
+        seen.add(key);
+        next.push({ q: q + dq, r: r + dr });
+      })
+    );
+    coords.push(...next);
+    ring = next;
+  }
+  return coords;
+}
+
+// A plain grid; on the octagon grid octagons sit on even (q, r) and squares between them
+export function gridCoords(topology, width, height) {
+  const coords = [];
+  const q0 = 0 - Math.floor((width - 1) / 2);
+  const r0 = 0 - Math.floor((height - 1) / 2);
+  if (topology !== "octagon") {
+    for (let r = r0; r < r0 + height; r++) {
+      for (let q = q0; q < q0 + width; q++) coords.push({ q, r });
+    }
+    return coords;
+  }
+  for (let r = 2 * r0; r <= 2 * (r0 + height - 1); r++) {
+    for (let q = 2 * q0; q <= 2 * (q0 + width - 1); q++) {
+      if (TOPOLOGIES.octagon.isCell(q, r)) coords.push({ q, r });
+    }
+  }
+  return coords;
+}
+
+export function parallelogramCoords(width, height) {
+  const coords = [];
+  const q0 = 0 - Math.floor((width - 1) / 2);
+  const r0 = 0 - Math.floor((height - 1) / 2);
+  for (let r = r0; r < r0 + height; r++) {
+    for (let q = q0; q < q0 + width; q++) coords.push({ q, r });
+  }
+  return coords;
+}
+
+/**
+ * spec = { type, radius } for hexagons, { type, width, height } otherwise,
+ * with an optional `remove` list of "q,r" keys and the `topology` (default hex).
+ */
+export function generateLayout(spec) {
+  const topology = spec.topology ?? DEFAULT_TOPOLOGY;
+  if (!TOPOLOGIES[topology]) throw new Error(`unknown topology "${topology}"`);
+  const hex = topology === "hex";
+  let coords;
+  if (spec.type === "hexagon") coords = hex ? hexagonCoords(spec.radius) : ballCoords(topology, spec.radius);
+  else if (spec.type === "rectangle") coords = hex ? rectangleCoords(spec.width, spec.height) : gridCoords(topology, spec.width, spec.height);
+  else if (spec.type === "parallelogram") coords = hex ? parallelogramCoords(spec.width, spec.height) : gridCoords(topology, spec.width, spec.height);
+  else throw new Error(`unknown layout type "${spec.type}"`);
+  const removeSet = new Set(spec.remove ?? []);
+  return coords.filter(({ q, r }) => !removeSet.has(keyFor(q, r)));
+}
@@ -0,0 +1,239 @@
+/**
+ * Machine control code for the physical braiding machine (headless: no THREE / DOM).
+ *
+ * Carriers are driven by numbered motors; a motor map { "0,0": 1, "1,0": 2 }
+ * ties carrier keys (carrierModel.js keyFor) to motor indices. Without one,
+ * motors are numbered 1.. in layout order (`defaultMotorMap`).
+ *
+ * Two export formats, one line per move:
+ *
+ * "gcode" — blocks of moves that start together, separated by dwells:
+ *     G1 M1 D-1 S1 T0.8 ; 0,0      start motor 1: direction -1 (CW) / 1 (CCW),
+ *                                   1 step, taking 0.8 s
+ *     G4 P1                         wait 1 s, then start the next block
+ *   A step is the field's step angle (carrierModel.js TOPOLOGIES: 60° on the
+ *   hex grid, 90° on the square and octagon grids); given `stepAngle`, the
+ *   header says which.
+ *
+ * "csv" — step,start,motor,carrier,dir,steps,duration,dwell where dwell is
+ *     the wait after this line before the next one starts.
+ *
+ * Edge events are not machine moves and are left out. `parseMachineLog`
+ * reads either format back (a controller echoing what it ran) as sequencer
+ * moves; CSV logs may list their columns in any order, call "start" "time"
+ * and name the carrier instead of the motor.
+ */
+
+export const MACHINE_FORMATS = ["gcode", "csv"];
+
+const round = (t) => Math.round(t * 1e6) / 1e6;
+
+// Motors 1.. in layout order
+export function defaultMotorMap(keys) {
+  return Object.fromEntries(keys.map((key, i) => [key, i + 1]));
+}
+
+// Problems with a motor map for these carrier keys (empty when it is fine)
+export function motorMapErrors(motors, keys, where = "motors") {
+  const errors = [];
+  const known = new Set(keys);
+  const used = new Map();
+  Object.entries(motors).forEach(([key, motor]) => {
+    if (!known.has(key)) errors.push(`${where}: unknown carrier "${key}"`);
+    else if (!Number.isInteger(motor) || motor < 1) errors.push(`${where}["${key}"]: motor must be an integer >= 1`);
+    else if (used.has(motor)) errors.push(`${where}["${key}"]: motor ${motor} is already used by ${used.get(motor)}`);
+    else used.set(motor, key);
+  });
+  return errors;
+}
+
+function fail(kind, errors) {
+  const err = new Error(`${kind}:\n- ${errors.join("\n- ")}`);
+  err.errors = errors;
+  return err;
+}
+
+// Moves grouped by start time, in time order
+function blocks(moves) {
+  const byStart = new Map();
+  [...moves]
+    .sort((a, b) => a.start - b.start)
+    .forEach((m) => {
+      if (!byStart.has(m.start)) byStart.set(m.start, []);
+      byStart.get(m.start).push(m);
+    });
+  return [...byStart];
+}
+
+/**
+ * Control code text for sequencer moves ({ key, dir, steps, start, duration }).
+ * `stepAngle` (radians) is noted in the G-code header when given.
+ * Throws (with `errors`) when a moving carrier has no motor.
+ */
+export function toMachineCode(moves, motors, { format = "gcode", stepAngle } = {}) {
+  if (!MACHINE_FORMATS.includes(format)) throw new Error(`unknown machine format "${format}" (expected ${MACHINE_FORMATS.join(", ")})`);
+  const missing = [...new Set(moves.map((m) => m.key).filter((key) => motors[key] === undefined))];
+  if (missing.length) throw fail("No motor for", missing.map((key) => `carrier ${key}`));
+
+  const direction = (m) => (m.dir === "cw" ? -1 : 1);
+  const timed = blocks(moves);
+
+  if (format === "csv") {
+    const lines = ["step,start,motor,carrier,dir,steps,duration,dwell"];
+    let step = 0;
+    timed.forEach(([start, block], b) => {
+      const next = timed[b + 1]?.[0];
+      block.forEach((m, i) => {
+        const dwell = i < block.length - 1 ? 0 : next === undefined ? 0 : round(next - start);
+        lines.push([step++, start, motors[m.key], `"${m.key}"`, m.dir, m.steps, m.duration, dwell].join(","));
+      });
+    });
+    return `${lines.join("\n")}\n`;
+  }
+
+  const motorList = Object.entries(motors)
+    .sort((a, b) => a[1] - b[1])
+    .map(([key, motor]) => `M${motor}=${key}`);
+  const lines = [
+    "; 3dvideogen machine code",
+    `; motors: ${motorList.join(" ")}`,
+    "; G1 M<motor> D<-1 CW | 1 CCW> S<steps> T<seconds> starts a move; G4 P<seconds> waits",
+  ];
+  if (stepAngle > 0) lines.push(`; 1 step = ${round((stepAngle * 180) / Math.PI)}°`);
+  let clock = 0;
+  timed.forEach(([start, block]) => {
+    if (start > clock) lines.push(`G4 P${round(start - clock)}`);
+    clock = start;
+    block.forEach((m) => lines.push(`G1 M${motors[m.key]} D${direction(m)} S${m.steps} T${m.duration} ; ${m.key}`));
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+const parseDir = (value) => {
+  const v = String(value).trim().toLowerCase();
+  if (v === "cw" || v === "-1") return "cw";
+  if (v === "ccw" || v === "1" || v === "+1") return "ccw";
+  return null;
+};
+
+// CSV fields; carrier keys contain a comma, so they are quoted
+function csvFields(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === "," && !quoted) {
+      fields.push(field.trim());
+      field = "";
+    } else field += ch;
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function parseGcode(lines, carrierFor, errors) {
+  const moves = [];
+  let clock = 0;
+  lines.forEach((raw, i) => {
+    const line = raw.replace(/;.*$/, "").trim();
+    if (!line) return;
+    const where = `line ${i + 1}`;
+    const words = Object.fromEntries(
+      line
+        .toUpperCase()
+        .split(/\s+/)
+        .map((w) => [w[0], w.slice(1)])
+    );
+    if (words.G === "4") {
+      const p = Number(words.P);
+      if (!(p >= 0)) errors.push(`${where}: G4 needs P<seconds> >= 0`);
+      else clock = round(clock + p);
+      return;
+    }
+    if (words.G !== "1") {
+      errors.push(`${where}: expected G1 or G4, got "${raw.trim()}"`);
+      return;
+    }
+    const key = carrierFor(words.M, where);
+    const dir = parseDir(words.D);
+    const steps = Number(words.S);
+    const duration = Number(words.T);
+    if (!key) return;
+    if (!dir) errors.push(`${where}: D must be -1 (CW) or 1 (CCW)`);
+    else if (!Number.isInteger(steps) || steps < 0) errors.push(`${where}: S must be a whole number of steps`);
+    else if (!(duration >= 0)) errors.push(`${where}: T must be a number of seconds >= 0`);
+    else moves.push({ key, dir, steps, start: clock, duration });
+  });
+  return moves;
+}
+
+function parseCsv(lines, carrierFor, keys, errors) {
+  const [header, ...rows] = lines.filter((l) => l.trim() && !l.trim().startsWith(";"));
+  const columns = csvFields(header.toLowerCase());
+  const col = (...names) => columns.findIndex((c) => names.includes(c));
+  const at = {
+    start: col("start", "time"),
+    motor: col("motor"),
+    carrier: col("carrier", "key"),
+    dir: col("dir", "direction"),
+    steps: col("steps"),
+    duration: col("duration"),
+  };
+  const required = ["start", "dir", "steps", "duration"].filter((name) => at[name] < 0);
+  if (at.motor < 0 && at.carrier < 0) required.push("motor (or carrier)");
+  if (required.length) {
+    errors.push(`header: missing column ${required.join(", ")}`);
+    return [];
+  }
+  const moves = [];
+  rows.forEach((row, i) => {
+    const where = `row ${i + 1}`;
+    const f = csvFields(row);
+    // Short rows lack the last columns; f[-1] (a column the header lacks) is undefined too
+    const missing = ["start", "dir", "steps", "duration"].filter((name) => f[at[name]] === undefined);
+    if (f[at.motor] === undefined && f[at.carrier] === undefined) missing.unshift(at.motor >= 0 ? "motor" : "carrier");
+    if (missing.length) {
+      errors.push(`${where}: missing ${missing.join(", ")}`);
+      return;
+    }
+    let key = null;
+    if (f[at.motor]) key = carrierFor(f[at.motor].replace(/^m/i, ""), where);
+    else if (keys.has(f[at.carrier])) key = f[at.carrier];
+    else errors.push(`${where}: unknown carrier "${f[at.carrier]}"`);
+    const dir = parseDir(f[at.dir]);
+    const steps = Number(f[at.steps]);
+    const start = Number(f[at.start]);
+    const duration = Number(f[at.duration]);
+    if (!key) return;
+    if (!dir) errors.push(`${where}: dir must be cw / ccw or -1 / 1`);
+    else if (!Number.isInteger(steps) || steps < 0) errors.push(`${where}: steps must be a whole number`);
+    else if (!(start >= 0)) errors.push(`${where}: start must be a number >= 0`);
+    else if (!(duration >= 0)) errors.push(`${where}: duration must be a number >= 0`);
+    else moves.push({ key, dir, steps, start, duration });
+  });
+  return moves;
+}
+
+/**
+ * Sequencer moves from a controller log in either export format, using the
+ * motor map to find carriers. Throws an Error whose `errors` lists every
+ * line that could not be read, like program.js.
+ */
+export function parseMachineLog(text, motors) {
+  const byMotor = new Map(Object.entries(motors).map(([key, motor]) => [motor, key]));
+  const errors = [];
+  const carrierFor = (motor, where) => {
+    const key = byMotor.get(Number(motor));
+    if (!key) errors.push(`${where}: no carrier for motor ${motor}`);
+    return key ?? null;
+  };
+  const lines = text.split(/\r?\n/);
+  const first = lines.find((l) => l.trim() && !l.trim().startsWith(";"));
+  if (!first) throw fail("Invalid machine log", ["the log has no moves"]);
+  const moves = /^\s*G\d/i.test(first)
+    ? parseGcode(lines, carrierFor, errors)
+    : parseCsv(lines, carrierFor, new Set(Object.keys(motors)), errors);
+  if (errors.length) throw fail("Invalid machine log", errors);
+  return moves.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,47 @@
+// node --test Three.js/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MACHINE_FORMATS, defaultMotorMap, parseMachineLog, toMachineCode } from "./machineCode.js";
+
+const MOTORS = defaultMotorMap(["0,0", "1,0", "2,0"]);
+const MOVES = [
+  { key: "0,0", dir: "cw", steps: 1, start: 0, duration: 0.8 },
+  { key: "2,0", dir: "cw", steps: 1, start: 0, duration: 0.8 },
+  { key: "1,0", dir: "ccw", steps: 2, start: 1, duration: 1.5 },
+];
+
+// The errors a log is rejected with, or [] when it reads
+function errorsOf(text) {
+  try {
+    parseMachineLog(text, MOTORS);
+    return [];
+  } catch (e) {
+    return e.errors;
+  }
+}
+
+for (const format of MACHINE_FORMATS) {
+  test(`${format}: exported moves read back as the same moves`, () => {
+    assert.deepEqual(parseMachineLog(toMachineCode(MOVES, MOTORS, { format }), MOTORS), MOVES);
+  });
+}
+
+test("the G-code header gives the step angle", () => {
+  assert.match(toMachineCode(MOVES, MOTORS, { stepAngle: Math.PI / 2 }), /^; 1 step = 90°$/m);
+  assert.doesNotMatch(toMachineCode(MOVES, MOTORS), /1 step =/);
+});
+
+test("a carrier without a motor is not exported", () => {
+  assert.throws(() => toMachineCode(MOVES, { "0,0": 1 }), { errors: ["carrier 2,0", "carrier 1,0"] });
+});
+
+test("short CSV rows name their missing columns", () => {
+  const log = ["start,motor,dir,steps,duration", "0,1,cw,1", "0", "1,2,ccw,1,1"].join("\n");
+  assert.deepEqual(errorsOf(log), ["row 1: missing duration", "row 2: missing motor, dir, steps, duration"]);
+  assert.deepEqual(errorsOf("start,carrier,dir,steps,duration\n0"), ["row 1: missing carrier, dir, steps, duration"]);
+});
+
+test("CSV logs may name the carrier instead of the motor", () => {
+  const log = ["time,motor,carrier,direction,steps,duration", '0,,"1,0",-1,1,1'].join("\n");
+  assert.deepEqual(parseMachineLog(log, MOTORS), [{ key: "1,0", dir: "cw", steps: 1, start: 0, duration: 1 }]);
+});
@@ -0,0 +1,115 @@
+/**
+ * Machine panel: export the schedule as control code for the braiding
+ * machine, edit the carrier -> motor map, and load a controller log to replay
+ * what the machine did. Formats and parsing live in machineCode.js; this file
+ * only moves text in and out of the browser, like programIO.js.
+ */
+
+import { MACHINE_FORMATS, motorMapErrors, parseMachineLog, toMachineCode } from "./machineCode.js";
+import { validateProgram } from "./program.js";
+import { downloadText } from "./download.js";
+
+const EXTENSIONS = { gcode: "gcode", csv: "csv" };
+
+// "0,0=1 1,0=2" <-> { "0,0": 1, "1,0": 2 }
+const formatMotors = (motors) =>
+  Object.entries(motors)
+    .map(([key, motor]) => `${key}=${motor}`)
+    .join(" ");
+
+function parseMotors(text) {
+  const motors = {};
+  text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [key, motor] = pair.split("=");
+      motors[key] = Number(motor);
+    });
+  return motors;
+}
+
+export function createMachinePanel({ toolbar, session, fileName = "program" }) {
+  const { model, sequencer } = session;
+  const panel = toolbar.addPanel();
+
+  const button = (label, title, onClick) => {
+    const b = document.createElement("button");
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener("click", onClick);
+    panel.appendChild(b);
+    return b;
+  };
+
+  const formatSelect = document.createElement("select");
+  MACHINE_FORMATS.forEach((f) => formatSelect.add(new Option(f === "gcode" ? "G-code" : "CSV", f)));
+  panel.appendChild(formatSelect);
+
+  button("Export code", "Download the schedule as machine control code", () => {
+    const format = formatSelect.value;
+    try {
+      const text = toMachineCode(sequencer.steps, session.motorMap(), { format, stepAngle: model.stepAngle });
+      downloadText(text, `${fileName}.${EXTENSIONS[format]}`);
+      toolbar.showMessage(`Exported ${sequencer.steps.length} moves as ${format}`);
+    } catch (e) {
+      toolbar.showMessage(e.message, { error: true });
+    }
+  });
+
+  // Motor map, "key=motor" pairs separated by spaces
+  const motorsInput = document.createElement("input");
+  motorsInput.placeholder = "0,0=1 1,0=2 …";
+  motorsInput.title = "Motor index for each carrier (blank: layout order)";
+  motorsInput.style.width = "220px";
+  panel.appendChild(motorsInput);
+
+  button("Set motors", "Use this carrier -> motor map (saved with the program)", () => {
+    if (!motorsInput.value.trim()) {
+      session.setMotors(null);
+      toolbar.showMessage("Motors follow layout order");
+      return;
+    }
+    const motors = parseMotors(motorsInput.value);
+    const errors = motorMapErrors(motors, model.carriers.map((c) => c.key));
+    if (errors.length) {
+      toolbar.showMessage(errors.join("; "), { error: true });
+      return;
+    }
+    session.setMotors(motors);
+    toolbar.showMessage(`Motor map set for ${Object.keys(motors).length} carriers`);
+  });
+
+  // Controller logs replace the schedule; the field and everything else stays
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".gcode,.nc,.csv,.txt,.log,text/plain";
+  input.style.display = "none";
+  document.body.appendChild(input);
+
+  input.addEventListener("change", async () => {
+    const file = input.files[0];
+    input.value = "";
+    if (!file) return;
+    try {
+      const moves = parseMachineLog(await file.text(), session.motorMap());
+      session.loadProgram(validateProgram({ ...session.toProgram(), moves }));
+      toolbar.showMessage(`Replaying ${file.name}: ${moves.length} moves`);
+    } catch (e) {
+      toolbar.showMessage(`${file.name}: ${e.message}`, { error: true });
+    }
+  });
+
+  button("Replay log", "Load a controller log (G-code or CSV) as the schedule", () => input.click());
+
+  const syncMotors = () => {
+    if (document.activeElement !== motorsInput) motorsInput.value = session.motors ? formatMotors(session.motors) : "";
+  };
+  session.on("motors", syncMotors);
+  syncMotors();
+
+  toolbar.addButton("Machine", "Machine control code export and log replay", () => {
+    panel.style.display = panel.style.display === "flex" ? "none" : "flex";
+  });
+}
@@ -1,331 +1,285 @@
-import * as THREE from "three";
-
-// Basic three.js setup (3D perspective)
-const canvas = document.querySelector("#c");
-const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-renderer.setSize(window.innerWidth, window.innerHeight, false);
-renderer.shadowMap.enabled = true;
-
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0xf6f8fb);
-
-const camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 200);
-camera.position.set(0, -24, 12);
-camera.up.set(0, 0, 1);
-camera.lookAt(0, 0, 0);
-
-// Lights
-scene.add(new THREE.HemisphereLight(0xffffff, 0xa0a0a0, 0.6));
-const dir = new THREE.DirectionalLight(0xffffff, 0.8);
-dir.position.set(8, 8, 14);
-dir.castShadow = true;
-scene.add(dir);
-
-// Hex helpers
-function makeHexShape(radius = 1, pinch = 0.05) {
-  const shape = new THREE.Shape();
-  const verts = [];
-  for (let i = 0; i < 6; i++) {
-    const a = (Math.PI / 3) * i + Math.PI / 6;
-    verts.push({ x: radius * Math.cos(a), y: radius * Math.sin(a) });
-  }
-  verts.forEach((v, i) => {
-    const next = verts[(i + 1) % 6];
-    const mx = (v.x + next.x) / 2;
-    const my = (v.y + next.y) / 2;
-    const insetX = mx * (1 - pinch);
-    const insetY = my * (1 - pinch);
-    if (i === 0) shape.moveTo(v.x, v.y);
-    shape.quadraticCurveTo(insetX, insetY, next.x, next.y);
-  });
-  return shape;
-}
-
-function axialToXY(q, r, size) {
-  const x = size * Math.sqrt(3) * (q + r / 2);
-  const y = size * (3 / 2) * r;
-  return { x, y };
-}
+import { createSession } from "./session.js";
+import { createTransportBar } from "./transport.js";
+import { createToolbar } from "./toolbar.js";
+import { createInspector } from "./inspector.js";
+import { parseProgram, validateProgram } from "./program.js";
+import { attachProgramIO } from "./programIO.js";
+import { generateLayout } from "./layouts.js";
+import { createLayoutEditor } from "./layoutEditor.js";
+import { createSelectionPanel } from "./selectionPanel.js";
+import { createMechanicsPanel } from "./mechanicsPanel.js";
+import { createMachinePanel } from "./machinePanel.js";
+import { createPatternPanel } from "./patternPanel.js";
+import { createTimeline } from "./timeline.js";
+import { createTwinPanel } from "./twinPanel.js";
+import { createView2D } from "./view2D.js";
+import { createView3D } from "./view3D.js";
+import { downloadBlob } from "./download.js";
+import { renderFrames } from "./offlineRender.js";
+import { resolveViews, validateCameraPath } from "./cameraPath.js";
+import { createZip } from "./zip.js";
+
+/**
+ * Page entry: one session (session.js) drawn by the 2D diagram (view2D.js)
+ * and the 3D view (view3D.js), side by side or one at a time. The toolbar,
+ * transport bar, timeline, program load / save and layout editor are shared, so
+ * whatever is done in one view shows in the other on the next frame.
+ *
+ * URL options:
+ * - `?view=2d|3d|split` picks the starting layout (default split)
+ * - `?program=<url>[&export=glb,stl,...]` loads a program, runs it to the end
+ *   and downloads the listed formats (see view3D.js exportAs)
+ * - `?render=<spec url>` renders frames offline (see runOfflineRender)
+ * - `?twin=<ws url>` mirrors a live machine feed (twin.js; `node twinServer.js`
+ *   plays a recorded one)
+ */
+
+const session = createSession();
+const { sequencer } = session;
+
+// Activation schedule (see sequencer.js); times in seconds
+const DEMO_SCHEDULE = [
+  { key: "0,0", dir: "cw", steps: 1, start: 0, duration: 0.8 },
+  { key: "1,0", dir: "ccw", steps: 1, start: 1, duration: 0.8 },
+  { key: "-1,0", dir: "cw", steps: 2, start: 1, duration: 1.2 },
+  { key: "0,0", dir: "ccw", steps: 1, start: 2.5, duration: 0.8 },
+];
 
-function generateHexBlob(radius = 1) {
-  const coords = [];
-  for (let q = -radius; q <= radius; q++) {
-    const r1 = Math.max(-radius, -q - radius);
-    const r2 = Math.min(radius, -q + radius);
-    for (let r = r1; r <= r2; r++) coords.push({ q, r });
-  }
-  return coords;
-}
+// Yarns handed between carriers (yarnSim.js); sides are in the carrier's own frame
+const DEMO_YARNS = [
+  { id: "y1", carrier: "0,0", side: 1 },
+  { id: "y2", carrier: "0,1", side: 3 },
+];
 
-// Scene params
-const HEX_SIZE = 1.1;
-const HEX_GAP = 0.08;
-const HEX_HEIGHT = 0.35;
-const shape = makeHexShape(HEX_SIZE);
-const carrierGeometry = new THREE.ExtrudeGeometry(shape, {
-  depth: HEX_HEIGHT,
-  bevelEnabled: false,
+session.rebuildField({
+  coords: generateLayout({ type: "hexagon", radius: 1 }), // 7 carriers
+  rotations: new Map(),
+  connected: ["-1,0|0,0"],
+  moves: DEMO_SCHEDULE,
+  yarns: DEMO_YARNS,
+  rods: [{ carrier: "0,0" }],
 });
-carrierGeometry.translate(0, 0, -HEX_HEIGHT / 2); // center on z
-
-const carrierMaterial = new THREE.MeshStandardMaterial({ color: 0xbddc6a, roughness: 0.55, metalness: 0.05 });
-const outlineMaterial = new THREE.LineBasicMaterial({ color: 0x2b2b2b });
-
-const rigGroup = new THREE.Group();
-scene.add(rigGroup);
-
-const carrierGroup = new THREE.Group();
-rigGroup.add(carrierGroup);
-
-const coords = generateHexBlob(1); // 7 carriers
-const carriers = [];
-const carrierByKey = new Map();
-const keyFor = (q, r) => `${q},${r}`;
-
-coords.forEach(({ q, r }) => {
-  const { x, y } = axialToXY(q, r, HEX_SIZE + HEX_GAP);
-  const key = keyFor(q, r);
-
-  const node = new THREE.Group();
-  node.position.set(x, y, 0);
-  carrierGroup.add(node);
 
-  const mesh = new THREE.Mesh(carrierGeometry, carrierMaterial);
-  mesh.castShadow = true;
-  mesh.receiveShadow = true;
-  node.add(mesh);
-
-  const edges = new THREE.EdgesGeometry(carrierGeometry);
-  const outline = new THREE.LineSegments(edges, outlineMaterial);
-  node.add(outline);
-
-  const dot = new THREE.Mesh(new THREE.SphereGeometry(0.08, 12, 12), new THREE.MeshStandardMaterial({ color: 0x2d5b2a }));
-  dot.position.set(0, 0, HEX_HEIGHT / 2 + 0.02);
-  node.add(dot);
-
-  const orientDot = new THREE.Mesh(new THREE.SphereGeometry(0.06, 12, 12), new THREE.MeshStandardMaterial({ color: 0x1f3b1f }));
-  const orientOffset = HEX_SIZE * 0.35;
-  orientDot.position.set(orientOffset, 0, HEX_HEIGHT / 2 + 0.02);
-  node.add(orientDot);
-
-  carriers.push({ q, r, x, y, key, group: node, rotation: 0 });
-  carrierByKey.set(key, carriers[carriers.length - 1]);
+// Shared controls
+const toolbar = createToolbar();
+const transport = createTransportBar(sequencer);
+const inspector = createInspector(session);
+const layoutEditor = createLayoutEditor({ toolbar, onGenerate: session.editLayout });
+session.on("field", () => layoutEditor.setTopology(session.model.topology));
+const isEditing = () => layoutEditor.active;
+createSelectionPanel({ toolbar, session });
+createMechanicsPanel({ toolbar, session });
+createMachinePanel({ toolbar, session });
+createPatternPanel({ toolbar, session });
+const twinPanel = createTwinPanel({ toolbar, session });
+
+session.on("run", ({ problems }) => toolbar.showProblems(problems));
+toolbar.showProblems(session.problems);
+
+// Views: two canvases filling the space between toolbar and transport bar
+const viewsElement = document.querySelector("#views");
+const view2D = createView2D({ canvas: document.querySelector("#c2d"), session, isEditing });
+const view3D = createView3D({ canvas: document.querySelector("#c3d"), session, toolbar, isEditing });
+const views = [view2D, view3D];
+
+// Timeline editor (timeline.js) under the views; they shrink to make room
+const timeline = createTimeline({ toolbar, session, onResize: () => views.forEach((v) => v.resize()) });
+
+attachProgramIO({
+  canvas: viewsElement,
+  toolbar,
+  onLoad: session.loadProgram,
+  getProgram: session.toProgram,
 });
 
-// Adjacency map
-const neighborDirs = [
-  { dq: 1, dr: 0 },
-  { dq: 1, dr: -1 },
-  { dq: 0, dr: -1 },
-  { dq: -1, dr: 0 },
-  { dq: -1, dr: 1 },
-  { dq: 0, dr: 1 },
-];
-
-const textileMaterial = new THREE.MeshStandardMaterial({ color: 0x9b59b6, roughness: 0.35, metalness: 0.05 });
-const SIDE_NORMAL_ANGLES = [0, Math.PI / 3, (2 * Math.PI) / 3, Math.PI, (4 * Math.PI) / 3, (5 * Math.PI) / 3];
-const MID_DIST = HEX_SIZE * Math.cos(Math.PI / 6);
-
-const neighbors = new Map();
-carriers.forEach((c) => neighbors.set(c.key, []));
-carriers.forEach(({ q, r, x, y, key }) => {
-  neighborDirs.forEach(({ dq, dr }) => {
-    const nq = q + dq;
-    const nr = r + dr;
-    const neighborKey = keyFor(nq, nr);
-    if (!carrierByKey.has(neighborKey)) return;
-    neighbors.get(key).push(neighborKey);
-  });
-});
+// Split / 2D only / 3D only
+const VIEW_LAYOUTS = { split: [true, true], "2d": [true, false], "3d": [false, true] };
+let viewLayout = "split";
 
-function nearestSideIndex(vec) {
-  const len = Math.hypot(vec.x, vec.y) || 1;
-  const nx = vec.x / len;
-  const ny = vec.y / len;
-  let bestIdx = 0;
-  let bestDot = -Infinity;
-  SIDE_NORMAL_ANGLES.forEach((ang, idx) => {
-    const sx = Math.cos(ang);
-    const sy = Math.sin(ang);
-    const dot = sx * nx + sy * ny;
-    if (dot > bestDot) {
-      bestDot = dot;
-      bestIdx = idx;
-    }
+function setViewLayout(name) {
+  viewLayout = name;
+  VIEW_LAYOUTS[name].forEach((shown, i) => {
+    views[i].canvas.style.display = shown ? "" : "none";
   });
-  return bestIdx;
+  views.forEach((v) => v.resize());
 }
 
-function sideNormal(carrier, sideIdx) {
-  const ang = SIDE_NORMAL_ANGLES[sideIdx] + carrier.rotation;
-  return { nx: Math.cos(ang), ny: Math.sin(ang), ang };
-}
+toolbar.addButton("View", "Switch between split screen, 2D only and 3D only", () => {
+  const names = Object.keys(VIEW_LAYOUTS);
+  setViewLayout(names[(names.indexOf(viewLayout) + 1) % names.length]);
+  toolbar.showMessage(`View: ${viewLayout}`);
+});
 
-function sideMidpoint(carrier, sideIdx) {
-  const n = sideNormal(carrier, sideIdx);
-  return {
-    midX: carrier.x + n.nx * MID_DIST,
-    midY: carrier.y + n.ny * MID_DIST,
-    tangentAngle: n.ang + Math.PI / 2,
-    normal: n,
-  };
+// Undo / redo (history.js) of rotations, selection, edge toggles, couplings, schedule and layout edits
+function undo() {
+  const entry = session.undo();
+  toolbar.showMessage(entry ? `Undo: ${entry.label}` : "Nothing to undo");
 }
 
-// Single rod that retargets to the best-facing neighbor of its anchor side
-const rodLength = HEX_SIZE * 1.05;
-const rodThickness = 0.18;
-const rodGeom = new THREE.BoxGeometry(rodLength, rodThickness, 0.05);
-const rodMesh = new THREE.Mesh(rodGeom, textileMaterial);
-rodMesh.castShadow = true;
-rodMesh.receiveShadow = true;
-scene.add(rodMesh);
-
-// Yarn anchor point above center and a line from anchor to rod center
-const yarnAnchor = new THREE.Vector3(0, 0, 3);
-const yarnMat = new THREE.LineBasicMaterial({ color: 0x6e8f69, linewidth: 30 });
-let yarnLine = null;
-function updateYarnLine() {
-  const points = [yarnAnchor.clone(), rod.mesh.position.clone()];
-  const geo = new THREE.BufferGeometry().setFromPoints(points);
-  if (yarnLine) {
-    yarnLine.geometry.dispose();
-    yarnLine.geometry = geo;
-  } else {
-    yarnLine = new THREE.Line(geo, yarnMat);
-    scene.add(yarnLine);
-  }
+function redo() {
+  const entry = session.redo();
+  toolbar.showMessage(entry ? `Redo: ${entry.label}` : "Nothing to redo");
 }
 
-const rod = {
-  anchor: carriers[0] ?? null,
-  anchorSideIdx: 0,
-  mesh: rodMesh,
+const undoButton = toolbar.addButton("Undo", "Undo the last edit (Ctrl+Z)", undo);
+const redoButton = toolbar.addButton("Redo", "Redo (Ctrl+Shift+Z)", redo);
+const syncHistoryButtons = () => {
+  undoButton.disabled = !session.history.canUndo;
+  redoButton.disabled = !session.history.canRedo;
 };
-
-if (rod.anchor) {
-  // pick a side that actually faces a neighbor initially
-  const neighborKeys = neighbors.get(rod.anchor.key) || [];
-  if (neighborKeys.length > 0) {
-    const nk = neighborKeys[0];
-    const n = carrierByKey.get(nk);
-    const dir = { x: n.x - rod.anchor.x, y: n.y - rod.anchor.y };
-    rod.anchorSideIdx = nearestSideIndex(dir);
-  }
-}
-
-function updateRod() {
-  if (!rod.anchor) {
-    rod.mesh.visible = false;
+session.on("history", syncHistoryButtons);
+syncHistoryButtons();
+
+// Hand rotations and edge toggles since the last load become the schedule; play it back with
+// the transport bar, Save it like any program, or Undo to go back
+toolbar.addButton("Record", "Turn the rotations and edge toggles made by hand into a program", () => {
+  const program = session.historyToProgram();
+  if (program.moves.length === 0 && program.edgeEvents.length === 0) {
+    toolbar.showMessage("No rotations or edge toggles to record yet");
     return;
   }
-  const anchor = rod.anchor;
-  const anchorSide = sideMidpoint(anchor, rod.anchorSideIdx);
-  const neighborKeys = neighbors.get(anchor.key) || [];
-  let best = null;
-  neighborKeys.forEach((k) => {
-    const nb = carrierByKey.get(k);
-    const dx = nb.x - anchor.x;
-    const dy = nb.y - anchor.y;
-    const len = Math.hypot(dx, dy);
-    if (len < 1e-3) return;
-    const dir = { x: dx / len, y: dy / len };
-    const dot = dir.x * anchorSide.normal.nx + dir.y * anchorSide.normal.ny;
-    if (!best || dot > best.dot) best = { dot, nb, dir };
-  });
+  session.loadProgram(validateProgram(program));
+  toolbar.showMessage(`Recorded ${program.moves.length} moves, ${program.edgeEvents.length} edge events`);
+});
 
-  if (!best || best.dot < 0.2) {
-    rod.mesh.visible = false;
+// Keyboard controls for the selected carriers (either view); they turn together
+window.addEventListener("keydown", (e) => {
+  if (e.target instanceof HTMLInputElement && e.target.type !== "range") return;
+  if (e.target instanceof HTMLSelectElement) return; // inspector / panel dropdowns
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "z") {
+    e.preventDefault();
+    if (e.shiftKey) redo();
+    else undo();
     return;
   }
-  rod.mesh.visible = true;
-
-  const nb = best.nb;
-  const neighborSideIdx = nearestSideIndex({ x: anchor.x - nb.x, y: anchor.y - nb.y });
-  const nbSide = sideMidpoint(nb, neighborSideIdx);
-
-  // Keep a fixed rod length and align parallel to the anchor side
-  const scale = 1;
-  const rodAngle = anchorSide.tangentAngle;
-  const edgeOffset = 0.02;
-
-  // Place the rod right on the anchor edge (slightly offset outward along the normal)
-  const posX = anchorSide.midX + anchorSide.normal.nx * edgeOffset;
-  const posY = anchorSide.midY + anchorSide.normal.ny * edgeOffset;
+  if (e.key === "ArrowRight") session.rotate(session.selection, -session.model.stepAngle); // CW
+  if (e.key === "ArrowLeft") session.rotate(session.selection, session.model.stepAngle); // CCW
+  if (e.key === "f" || e.key === "F") views.forEach((v) => v.focusSelected());
+});
 
-  rod.mesh.position.set(posX, posY, HEX_HEIGHT / 2 + 0.06);
-  rod.mesh.rotation.set(0, 0, rodAngle);
-  rod.mesh.scale.set(scale, 1, 1);
+window.addEventListener("resize", () => {
+  if (offline) return; // the output resolution is fixed while rendering
+  views.forEach((v) => v.resize());
+});
 
-  updateYarnLine();
+async function fetchJSONText(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+  return response.text();
 }
 
-updateRod();
-
-// Per-carrier rotation controls
-const ROTATION_STEP = Math.PI / 3; // 60 deg per step
-let selected = carriers[0] ?? null;
+// Bring the 3D scene to simulation time t without the animation loop
+function showTime(t) {
+  sequencer.pause();
+  sequencer.seek(t);
+  view3D.update();
+  view3D.scene.updateMatrixWorld(true);
+}
 
-function rotateCarrier(carrier, delta) {
-  if (!carrier) return;
-  carrier.rotation += delta;
-  carrier.group.rotation.set(0, 0, carrier.rotation);
-  updateRod();
+// Viewpoint (viewpoints.js) as it is at simulation time t, e.g. for follow-yarn
+function viewAtTime(name, t) {
+  showTime(t);
+  return view3D.viewpoint(name);
 }
 
-// Simple picking via raycaster to select a carrier (and click to rotate)
-const raycaster = new THREE.Raycaster();
-const pointer = new THREE.Vector2();
-function onPointerDown(event) {
-  const rect = renderer.domElement.getBoundingClientRect();
-  pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-  pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-  raycaster.setFromCamera(pointer, camera);
-  const hit = raycaster.intersectObjects(carrierGroup.children, true);
-  if (hit.length > 0) {
-    const carrier = carriers.find((c) => c.group === hit[0].object.parent || c.group === hit[0].object);
-    if (carrier) {
-      selected = carrier;
-      // left click rotates CW, right click (button 2) rotates CCW
-      if (event.button === 0) rotateCarrier(selected, -ROTATION_STEP);
-      if (event.button === 2) rotateCarrier(selected, ROTATION_STEP);
-    }
-  }
+const EXPORT_FORMATS = ["glb", "gltf", "obj", "stl", "csv", "json"];
+
+async function runScriptedExport(params) {
+  const url = params.get("program");
+  const formats = (params.get("export") ?? "").split(",").filter(Boolean);
+  const unknown = formats.filter((f) => !EXPORT_FORMATS.includes(f));
+  if (unknown.length) throw new Error(`unknown export format(s): ${unknown.join(", ")}`);
+  session.loadProgram(parseProgram(await fetchJSONText(url)));
+  // Exports show the finished run, independent of playback speed or frame rate
+  showTime(sequencer.duration());
+  const baseName = url.split("/").pop().replace(/\.json$/i, "") || "braid";
+  for (const format of formats) await view3D.exportAs(format, baseName);
+  toolbar.showMessage(`Exported ${formats.join(", ")} from ${url}`);
 }
-renderer.domElement.addEventListener("pointerdown", onPointerDown);
-renderer.domElement.addEventListener("contextmenu", (e) => e.preventDefault());
 
-// Keyboard controls for selected carrier
-window.addEventListener("keydown", (e) => {
-  if (e.key === "ArrowRight") rotateCarrier(selected, -ROTATION_STEP); // CW
-  if (e.key === "ArrowLeft") rotateCarrier(selected, ROTATION_STEP);  // CCW
-});
+// Offline rendering (offlineRender.js) of the 3D view: `?render=<spec url>` where the spec is
+//   { program, width = 1280, height = 720, fps = 30, duration?, camera?, output = "zip" | { endpoint } }
+// `duration` defaults to the program's, `camera` is a cameraPath.js path whose
+// keyframes may name viewpoints ({ time, view }), taken at the keyframe's time.
+// With an endpoint each frame is POSTed to <endpoint>/<frame name> as it is
+// made, then a manifest.json; otherwise the frames download as one zip.
+// The page sets data-render="done" (or "error") on <html> when finished.
+let offline = false;
+
+async function runOfflineRender(specUrl) {
+  const spec = JSON.parse(await fetchJSONText(specUrl));
+  const { width = 1280, height = 720, fps = 30, output = "zip" } = spec;
+  if (![width, height, fps].every((n) => Number.isInteger(n) && n > 0)) {
+    throw new Error("width, height and fps must be positive integers");
+  }
+  session.loadProgram(parseProgram(await fetchJSONText(new URL(spec.program, new URL(specUrl, window.location.href)))));
+  const cameraPath = spec.camera ? validateCameraPath(resolveViews(spec.camera, viewAtTime)) : null;
+  const duration = spec.duration ?? sequencer.duration();
+
+  setViewLayout("3d");
+  offline = true;
+  const frames = [];
+  const endpoint = output.endpoint?.replace(/\/$/, "");
+  const post = (name, body, type) =>
+    fetch(`${endpoint}/${name}`, { method: "POST", headers: { "Content-Type": type }, body }).then((r) => {
+      if (!r.ok) throw new Error(`${endpoint}/${name}: ${r.status} ${r.statusText}`);
+    });
+
+  const count = await renderFrames({
+    renderer: view3D.renderer,
+    scene: view3D.scene,
+    camera: view3D.camera,
+    width,
+    height,
+    fps,
+    duration,
+    cameraPath,
+    advance: showTime,
+    onFrame: async (name, blob) => {
+      if (endpoint) await post(name, blob, "image/png");
+      else frames.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+      toolbar.showMessage(`Rendered ${name}`);
+    },
+  });
 
-// Fit and tilt
-carrierGroup.rotation.set(0, 0, 0);
-
-function fitCamera() {
-  const box = new THREE.Box3().setFromObject(rigGroup);
-  const size = box.getSize(new THREE.Vector3());
-  const center = box.getCenter(new THREE.Vector3());
-  const maxDim = Math.max(size.x, size.y);
-  const dist = maxDim * 1.8;
-  camera.position.set(center.x, center.y - dist, dist * 0.6);
-  camera.up.set(0, 0, 1);
-  camera.lookAt(center);
+  const manifest = { program: spec.program, width, height, fps, duration, frames: count };
+  if (endpoint) {
+    await post("manifest.json", JSON.stringify(manifest, null, 2), "application/json");
+  } else {
+    frames.push({ name: "manifest.json", data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+    downloadBlob(new Blob([createZip(frames)], { type: "application/zip" }), "frames.zip");
+  }
+  toolbar.showMessage(`Rendered ${count} frames`);
 }
-fitCamera();
-
-window.addEventListener("resize", () => {
-  const w = window.innerWidth;
-  const h = window.innerHeight;
-  renderer.setSize(w, h, false);
-  camera.aspect = w / h;
-  camera.updateProjectionMatrix();
-});
 
-function animate() {
+let last = performance.now();
+function animate(now) {
   requestAnimationFrame(animate);
-  renderer.render(scene, camera);
+  const dt = (now - last) / 1000;
+  last = now;
+  if (offline) return; // frames are drawn by runOfflineRender
+  sequencer.update(dt);
+  views.forEach((v) => v.frame());
+  transport.sync();
+  inspector.sync();
+  timeline.sync();
+}
+
+const urlParams = new URLSearchParams(window.location.search);
+setViewLayout(VIEW_LAYOUTS[urlParams.get("view")] ? urlParams.get("view") : "split");
+requestAnimationFrame(animate);
+
+// Scripted load / export / render from the URL
+if (urlParams.has("render")) {
+  runOfflineRender(urlParams.get("render")).then(
+    () => (document.documentElement.dataset.render = "done"),
+    (e) => {
+      document.documentElement.dataset.render = "error";
+      toolbar.showMessage(`Render: ${e.message}`, { error: true });
+    }
+  );
+} else if (urlParams.has("program")) {
+  runScriptedExport(urlParams).catch((e) => toolbar.showMessage(`Export: ${e.message}`, { error: true }));
+} else if (urlParams.has("twin")) {
+  twinPanel.connect(urlParams.get("twin"));
 }
-animate();
@@ -0,0 +1,112 @@
+/**
+ * Drive-train mechanics (headless: no THREE / DOM).
+ *
+ * Optional mode in which neighbouring carriers are coupled the way the
+ * machine's gears are. Every edge ("a|b" key) has a coupling:
+ * - "gear":   the two mesh, so one turning CW turns the other CCW by as many steps
+ * - "clutch": independent, each carrier turns on its own
+ * - "lock":   the mesh is locked, so neither carrier can turn
+ * A config is { default: "clutch", couplings: { "0,0|1,0": "gear" } }.
+ *
+ * `driveTrain` spreads a rotation through the gears (session.js uses it for
+ * hand rotations); `checkMechanics` reports schedule moves the hardware could
+ * not make, as collisions.js problems.
+ */
+
+import { edgeKey } from "./carrierModel.js";
+
+export const COUPLINGS = ["gear", "clutch", "lock"];
+
+// Three meshing hexes form a loop of three gears, which jams, so a full
+// field of gears cannot turn at all; couplings are opt-in per edge
+export const DEFAULT_MECHANICS = { default: "clutch", couplings: {} };
+
+export const dirSign = (dir) => (dir === "cw" ? -1 : 1);
+
+export function couplingOf(config, a, b) {
+  return config.couplings[edgeKey(a, b)] ?? config.default;
+}
+
+/**
+ * Carriers that turn when `drives` ([{ key, sign }], sign -1 = CW) are turned.
+ * Returns { turns: Map key -> sign }, or { blocked: { key, other, message } }
+ * when the gears or locks do not allow it.
+ */
+export function driveTrain({ neighbors, config, drives }) {
+  const turns = new Map();
+  const queue = [];
+  for (const { key, sign } of drives) {
+    if (turns.has(key) && turns.get(key) !== sign) {
+      return { blocked: { key, other: null, message: `${key} is driven both ways at once` } };
+    }
+    turns.set(key, sign);
+    queue.push(key);
+  }
+  while (queue.length) {
+    const key = queue.shift();
+    for (const nb of neighbors.get(key) ?? []) {
+      const coupling = couplingOf(config, key, nb);
+      if (coupling === "lock") {
+        return { blocked: { key, other: nb, message: `${key} cannot turn: its mesh with ${nb} is locked` } };
+      }
+      if (coupling !== "gear") continue;
+      const sign = -turns.get(key);
+      if (!turns.has(nb)) {
+        turns.set(nb, sign);
+        queue.push(nb);
+      } else if (turns.get(nb) !== sign) {
+        const message = drives.some((d) => d.key === nb)
+          ? `${nb} is driven ${sign < 0 ? "CCW" : "CW"} but its gear ${key} turns it ${sign < 0 ? "CW" : "CCW"}`
+          : `${nb} would have to turn both ways: the gear loop through ${key} and ${nb} has an odd number of gears`;
+        return { blocked: { key: nb, other: key, message } };
+      }
+    }
+  }
+  return { turns };
+}
+
+// Geared neighbours turning against each other in step are meant to move together
+export function meshesWith(config, a, b) {
+  return (
+    couplingOf(config, a.key, b.key) === "gear" &&
+    dirSign(a.dir) === -dirSign(b.dir) &&
+    a.steps === b.steps &&
+    a.start === b.start &&
+    a.duration === b.duration
+  );
+}
+
+/**
+ * Problems ({ type: "mechanics", step, key, other, time, message }) for
+ * moves that hit a lock or an odd gear loop, or that leave out a carrier
+ * their gears would turn (it needs its own matching move).
+ */
+export function checkMechanics({ neighbors, moves, config }) {
+  const problems = [];
+  const reported = new Set();
+  moves.forEach((m, i) => {
+    const result = driveTrain({ neighbors, config, drives: [{ key: m.key, sign: dirSign(m.dir) }] });
+    if (result.blocked) {
+      const { key, other, message } = result.blocked;
+      problems.push({ type: "mechanics", step: i, key, other, time: m.start, message: `step ${i}: ${message}` });
+      return;
+    }
+    result.turns.forEach((sign, key) => {
+      if (key === m.key || reported.has(`${key}|${m.start}`)) return;
+      const partner = moves.some(
+        (o) => o.key === key && dirSign(o.dir) === sign && o.steps === m.steps && o.start === m.start && o.duration === m.duration
+      );
+      if (partner) return;
+      reported.add(`${key}|${m.start}`);
+      problems.push({
+        type: "mechanics",
+        step: i,
+        key,
+        other: m.key,
+        time: m.start,
+        message: `step ${i}: ${key} is geared to ${m.key} and must turn ${sign < 0 ? "cw" : "ccw"} ${m.steps} with it`,
+      });
+    });
+  });
+  return problems;
+}
@@ -0,0 +1,70 @@
+/**
+ * Mechanics panel: switch mechanics mode (mechanics.js) on / off, pick the
+ * default coupling and couple the edges between selected carriers. With
+ * mechanics on, hand rotations turn every geared carrier and refused ones
+ * are explained in the toolbar message line.
+ */
+
+import { edgeKey } from "./carrierModel.js";
+import { COUPLINGS, DEFAULT_MECHANICS } from "./mechanics.js";
+
+export function createMechanicsPanel({ toolbar, session }) {
+  const { model } = session;
+  const panel = toolbar.addPanel();
+
+  const select = (title) => {
+    const s = document.createElement("select");
+    s.title = title;
+    COUPLINGS.forEach((c) => s.add(new Option(c, c)));
+    return s;
+  };
+
+  const enabledLabel = document.createElement("label");
+  const enabled = document.createElement("input");
+  enabled.type = "checkbox";
+  enabledLabel.append(enabled, "Mechanics");
+  enabled.addEventListener("change", () => session.setMechanics(enabled.checked ? structuredClone(DEFAULT_MECHANICS) : null));
+
+  const defaultSelect = select("Coupling of every edge not set below");
+  defaultSelect.addEventListener("change", () => {
+    if (session.mechanics) session.setMechanics({ ...session.mechanics, default: defaultSelect.value }, `default ${defaultSelect.value}`);
+  });
+
+  // Edges with both carriers selected
+  const couplingSelect = select("Coupling for the edges between the selected carriers");
+  const apply = document.createElement("button");
+  apply.textContent = "Couple selection";
+  apply.title = "Set the coupling of every edge between two selected carriers";
+  apply.addEventListener("click", () => {
+    const keys = new Set(session.selection.map((c) => c.key));
+    const edges = [
+      ...new Set([...keys].flatMap((key) => (model.neighbors.get(key) ?? []).filter((nb) => keys.has(nb)).map((nb) => edgeKey(key, nb)))),
+    ];
+    if (edges.length === 0) {
+      toolbar.showMessage("Select two or more neighbouring carriers first", { error: true });
+      return;
+    }
+    session.setCoupling(edges, couplingSelect.value);
+    toolbar.showMessage(`${edges.length} edge${edges.length === 1 ? "" : "s"} set to ${couplingSelect.value}`);
+  });
+
+  const hint = document.createElement("span");
+  hint.textContent = "gear: turns its neighbour the other way · clutch: independent · lock: neither turns";
+
+  panel.append(enabledLabel, "default", defaultSelect, couplingSelect, apply, hint);
+
+  const sync = () => {
+    const on = session.mechanics !== null;
+    enabled.checked = on;
+    [defaultSelect, couplingSelect, apply].forEach((el) => (el.disabled = !on));
+    if (on) defaultSelect.value = session.mechanics.default;
+  };
+  session.on("mechanics", sync);
+  sync();
+
+  session.on("blocked", ({ message }) => toolbar.showMessage(`Blocked: ${message}`, { error: true }));
+
+  toolbar.addButton("Mechanics", "Drive-train couplings between neighbouring carriers", () => {
+    panel.style.display = panel.style.display === "flex" ? "none" : "flex";
+  });
+}
@@ -0,0 +1,54 @@
+/**
+ * Deterministic frame rendering of a program run.
+ *
+ * Simulation time advances by exactly 1 / fps per frame, whatever the
+ * machine's speed, and every frame is read back from the canvas as a PNG.
+ * Runs fine in headless Chromium on software GL, e.g.
+ *
+ *   chromium --headless=new --use-angle=swiftshader --enable-unsafe-swiftshader \
+ *     "http://localhost:5173/?render=render.json"
+ *
+ * The view owns the scene; `advance(t)` must bring it to simulation time t.
+ */
+
+import { cameraAt } from "./cameraPath.js";
+
+export const frameName = (i) => `frame_${String(i).padStart(6, "0")}.png`;
+
+function canvasToPNG(canvas) {
+  // Called right after render(), before the drawing buffer is presented
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("could not read the canvas"))), "image/png")
+  );
+}
+
+/**
+ * renderer, scene, camera: what the live view draws with
+ * width, height, fps:      output frames
+ * duration:                seconds of simulation time; frames cover 0..duration inclusive
+ * cameraPath:              cameraPath.js path, or null to keep the camera as it is
+ * advance(t):              bring the scene to simulation time t
+ * onFrame(name, blob, i):  receives each PNG; awaited, so a slow sink throttles rendering
+ *
+ * Resolves to the number of frames rendered.
+ */
+export async function renderFrames({ renderer, scene, camera, width, height, fps, duration, cameraPath = null, advance, onFrame }) {
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+
+  const count = Math.floor(duration * fps + 1e-9) + 1;
+  for (let i = 0; i < count; i++) {
+    const t = i / fps;
+    advance(t);
+    if (cameraPath) {
+      const { position, target } = cameraAt(cameraPath, t);
+      camera.position.fromArray(position);
+      camera.lookAt(...target);
+    }
+    renderer.render(scene, camera);
+    await onFrame(frameName(i), await canvasToPNG(renderer.domElement), i);
+  }
+  return count;
+}
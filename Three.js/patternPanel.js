@@ -0,0 +1,58 @@
+/**
+ * Pattern panel: pick a standard braid pattern (patterns.js), how often it
+ * repeats and whether only the selected carriers take part, and load the
+ * result as the schedule. The field, rods and everything else stay.
+ */
+
+import { PATTERNS, generatePattern } from "./patterns.js";
+import { validateProgram } from "./program.js";
+
+export function createPatternPanel({ toolbar, session }) {
+  const { model } = session;
+  const panel = toolbar.addPanel();
+
+  const patternSelect = document.createElement("select");
+  Object.entries(PATTERNS).forEach(([name, { label }]) => patternSelect.add(new Option(label, name)));
+
+  const repeatsLabel = document.createElement("label");
+  repeatsLabel.textContent = "repeats ";
+  const repeats = document.createElement("input");
+  repeats.type = "number";
+  repeats.min = "1";
+  repeats.value = "2";
+  repeats.style.width = "48px";
+  repeatsLabel.appendChild(repeats);
+
+  const selectedLabel = document.createElement("label");
+  const selectedOnly = document.createElement("input");
+  selectedOnly.type = "checkbox";
+  selectedLabel.append(selectedOnly, "selected carriers only");
+
+  const generate = document.createElement("button");
+  generate.textContent = "Generate";
+  generate.title = "Replace the schedule and yarns with this pattern";
+  generate.addEventListener("click", () => {
+    const name = patternSelect.value;
+    try {
+      const { moves, yarns, transfers } = generatePattern(name, {
+        carriers: session.baseCarriers(),
+        neighbors: model.neighbors,
+        topology: model.topology,
+        rods: model.rods,
+        mechanics: session.mechanics,
+        keys: selectedOnly.checked ? session.selection.map((c) => c.key) : null,
+        repeats: Math.max(1, Math.floor(Number(repeats.value) || 1)),
+      });
+      session.loadProgram(validateProgram({ ...session.toProgram(), moves, edgeEvents: [], yarns }));
+      toolbar.showMessage(`${PATTERNS[name].label}: ${moves.length} moves, ${yarns.length} yarns, ${transfers} handovers`);
+    } catch (e) {
+      toolbar.showMessage(e.message, { error: true });
+    }
+  });
+
+  panel.append(patternSelect, repeatsLabel, selectedLabel, generate);
+
+  toolbar.addButton("Patterns", "Generate a standard braid pattern for this field", () => {
+    panel.style.display = panel.style.display === "flex" ? "none" : "flex";
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * Pattern library: standard braid patterns as move programs for whatever
+ * carrier field is loaded (headless: no THREE / DOM).
+ *
+ * Neighbouring carriers may not turn at the same time (collisions.js), so
+ * the field is split into classes that never neighbour themselves (the
+ * topology's classOf: (q - r) mod 3 on the hex grid, a checkerboard on the
+ * square one), and a pattern is a list of phases that each turn one class
+ * (phases for a class the grid does not have are skipped):
+ * - "diamond":   2D diamond, 1 over 1: the classes turn in turn by one step
+ * - "regular":   2D regular, 2 over 2: the same with two steps
+ * - "hercules":  2D Hercules, 3 over 3: the same with three steps
+ * - "four-step": 3D four-step: classes 0 and 1 turn out and back again, so
+ *   each repeat ends with the carriers where it started; class 2 stays put
+ * In the 2D patterns neighbouring classes turn opposite ways, and every
+ * other repeat runs with all directions reversed.
+ *
+ * Each yarn-carrying carrier gets one yarn, placed one step behind the side
+ * facing a neighbour that takes part, so its first turn hands it over.
+ */
+
+import { parseKey, nearestSideIndex, carrierSteps, localSideOf, TOPOLOGIES, DEFAULT_TOPOLOGY } from "./carrierModel.js";
+import { simulateYarns } from "./yarnSim.js";
+import { checkProgram } from "./collisions.js";
+
+const TWO_D = (steps) => ({
+  alternate: true,
+  phases: [
+    { cls: 0, dir: "cw", steps },
+    { cls: 1, dir: "ccw", steps },
+    { cls: 2, dir: "cw", steps },
+  ],
+});
+
+export const PATTERNS = {
+  diamond: { label: "2D diamond (1/1)", ...TWO_D(1) },
+  regular: { label: "2D regular (2/2)", ...TWO_D(2) },
+  hercules: { label: "2D Hercules (3/3)", ...TWO_D(3) },
+  "four-step": {
+    label: "3D four-step",
+    alternate: false,
+    phases: [
+      { cls: 0, dir: "cw", steps: 1 },
+      { cls: 1, dir: "ccw", steps: 1 },
+      { cls: 0, dir: "ccw", steps: 1 },
+      { cls: 1, dir: "cw", steps: 1 },
+    ],
+  },
+};
+
+// Class of a carrier; neighbours always differ
+export function carrierClass(key, topology = DEFAULT_TOPOLOGY) {
+  const { q, r } = parseKey(key);
+  return TOPOLOGIES[topology].classOf(q, r);
+}
+
+const flip = (dir) => (dir === "cw" ? "ccw" : "cw");
+
+/**
+ * Build a pattern for the carriers in `keys` (default: all of them).
+ *
+ * carriers:  [{ key, x, y, rotation, cell }]   as the schedule starts
+ * neighbors: Map key -> [neighbour keys]
+ * topology:  grid the carriers are on (carrierModel.js TOPOLOGIES)
+ * rods / mechanics: the program's rods and drive train, checked against the
+ *   pattern like the session checks a program (collisions.js)
+ * repeats:   how many times the phase list runs
+ * duration / pause: seconds per move and between phases
+ *
+ * Returns { moves, yarns, transfers } after running the yarn simulation and
+ * the checks on it; throws an Error whose `errors` lists what went wrong
+ * (checker problems, or a pattern that never hands a yarn over).
+ */
+export function generatePattern(
+  name,
+  { carriers, neighbors, topology = DEFAULT_TOPOLOGY, rods = [], mechanics = null, keys = null, repeats = 1, duration = 0.8, pause = 0.2 }
+) {
+  const pattern = PATTERNS[name];
+  if (!pattern) throw new Error(`unknown pattern "${name}" (expected ${Object.keys(PATTERNS).join(", ")})`);
+  if (!Number.isInteger(repeats) || repeats < 1) throw new Error("repeats must be a whole number >= 1");
+  const taking = new Set(keys ?? carriers.map((c) => c.key));
+  const members = carriers.filter((c) => taking.has(c.key));
+
+  const moves = [];
+  let start = 0;
+  for (let rep = 0; rep < repeats; rep++) {
+    pattern.phases.forEach(({ cls, dir, steps }) => {
+      const turning = members.filter((c) => carrierClass(c.key, topology) === cls);
+      if (turning.length === 0) return;
+      const d = pattern.alternate && rep % 2 === 1 ? flip(dir) : dir;
+      turning.forEach((c) => moves.push({ key: c.key, dir: d, steps, start, duration }));
+      start = Math.round((start + duration + pause) * 1e6) / 1e6;
+    });
+  }
+
+  // One yarn per turning carrier, a step behind a participating neighbour
+  const byKey = new Map(carriers.map((c) => [c.key, c]));
+  const yarns = [];
+  members.forEach((c) => {
+    const first = moves.find((m) => m.key === c.key);
+    const nb = (neighbors.get(c.key) ?? []).map((k) => byKey.get(k)).find((n) => n && taking.has(n.key));
+    if (!first || !nb) return;
+    const sign = first.dir === "cw" ? -1 : 1;
+    // the local side that faces nb once the carrier has made its first step
+    const facing = nearestSideIndex({ x: nb.x - c.x, y: nb.y - c.y }, c);
+    yarns.push({ id: `y${yarns.length + 1}`, carrier: c.key, side: localSideOf(c, facing, carrierSteps(c) + sign) });
+  });
+
+  const run = simulateYarns({ carriers, neighbors, moves, yarns });
+  const errors = checkProgram({ carriers, neighbors, moves, rods, transfers: run.transfers, mechanics }).map((p) => p.message);
+  if (moves.length === 0) errors.push("no carriers take part");
+  else if (run.transfers.length === 0) errors.push("no yarn is ever handed over (select neighbouring carriers)");
+  if (errors.length) {
+    const err = new Error(`Pattern "${name}" failed its check:\n- ${errors.join("\n- ")}`);
+    err.errors = errors;
+    throw err;
+  }
+  return { moves, yarns, transfers: run.transfers.length };
+}
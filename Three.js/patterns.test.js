@@ -0,0 +1,36 @@
+// node --test Three.js/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TOPOLOGY_NAMES, createCarrierModel } from "./carrierModel.js";
+import { generateLayout } from "./layouts.js";
+import { PATTERNS, generatePattern } from "./patterns.js";
+
+const fieldOf = (topology) => {
+  const model = createCarrierModel();
+  model.build(generateLayout({ type: "hexagon", radius: 2, topology }), topology);
+  return { carriers: model.carriers, neighbors: model.neighbors, topology };
+};
+
+for (const topology of TOPOLOGY_NAMES) {
+  test(`${topology}: every pattern passes its own check`, () => {
+    const field = fieldOf(topology);
+    Object.keys(PATTERNS).forEach((name) => {
+      const { moves, transfers } = generatePattern(name, field);
+      assert.ok(moves.length > 0 && transfers > 0, name);
+    });
+  });
+}
+
+test("patterns are checked against the program's rods and drive train", () => {
+  const field = fieldOf("hex");
+  // 0,0's rod sweeps into the gap 1,0's rod sits in
+  const rods = [
+    { carrier: "0,0", side: 0 },
+    { carrier: "1,0", side: 3 },
+  ];
+  assert.throws(() => generatePattern("diamond", { ...field, rods }), {
+    errors: ["step 3: rod on 0,0 sweeps through gap 0,0|1,0 while the rod on 1,0 is in it"],
+  });
+  const locked = { default: "lock", couplings: {} };
+  assert.throws(() => generatePattern("diamond", { ...field, mechanics: locked }), (e) => e.errors.every((msg) => /is locked$/.test(msg)));
+});
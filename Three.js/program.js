@@ -0,0 +1,401 @@
+/**
+ * Braiding program file format (JSON, versioned).
+ *
+ * {
+ *   "format": "3dvideogen-program",
+ *   "version": 1,
+ *   "topology": "square",                   // optional: "hex" (default), "square" or "octagon", see carrierModel.js
+ *   "layout": { "coords": [{ "q": 0, "r": 0 }, ...] }
+ *          or { "blob": { "radius": 3, "remove": ["3,0", "3,-1"] } }
+ *          or { "generator": { "type": "rectangle", "width": 12, "height": 8, "remove": [] } },
+ *                                           // radius up to MAX_LAYOUT_RADIUS, width / height up to MAX_LAYOUT_SIZE
+ *   "orientations": { "0,0": 60 },          // degrees, multiples of the step (60 on hex, 90 on the others)
+ *   "connected": ["0,0|1,0"],               // edge keys, same as edges[].key
+ *   "groups": { "A": ["0,0", "1,0"] },     // optional, named carrier groups (groups.js)
+ *   "moves": [{ "key": "0,0", "dir": "cw", "steps": 1, "start": 0, "duration": 0.8 },
+ *             { "group": "A", "dir": "ccw", "steps": 2, "start": 1, "duration": 0.8 }],
+ *   "edgeEvents": [{ "edge": "0,0|1,0", "connected": false, "time": 1.5 }],  // optional, see sequencer.js
+ *   "yarns": [{ "id": "y1", "carrier": "0,0", "side": 0 }],  // optional, see yarnSim.js
+ *   "rods": [{ "carrier": "0,0", "side": 0, "color": "#9b59b6", "feed": [0, 0, 3] }],  // optional
+ *   "viewpoints": { "close-up": { "position": [0, -6, 4], "target": [0, 0, 1] } },     // optional, see viewpoints.js
+ *   "mechanics": { "default": "clutch", "couplings": { "0,0|1,0": "gear" } },          // optional, see mechanics.js
+ *   "motors": { "0,0": 1, "1,0": 2 }        // optional, carrier -> machine motor, see machineCode.js
+ * }
+ *
+ * A move may give `"angle": -120` (degrees, CCW positive) instead of dir/steps.
+ * Layout coords must be cells of the topology, and sides run 0..n-1 for a
+ * carrier with n sides.
+ * Group moves come back expanded to one move per member, see groups.js.
+ * A program with "mechanics" opens in mechanics mode; `mechanics` is null without it.
+ * `motors` is null too when the file has no motor map (motors then follow layout order).
+ * No THREE / DOM here so programs can be checked outside the browser.
+ */
+
+import { generateLayout, LAYOUT_SHAPES } from "./layouts.js";
+import { keyFor, parseKey, edgeKey, areNeighbors, TOPOLOGIES, TOPOLOGY_NAMES, DEFAULT_TOPOLOGY } from "./carrierModel.js";
+import { BUILTIN_VIEWS } from "./viewpoints.js";
+import { collapseGroupMoves, expandGroupMoves, groupMembers, groupNameError } from "./groups.js";
+import { COUPLINGS } from "./mechanics.js";
+import { motorMapErrors } from "./machineCode.js";
+
+export { edgeKey };
+
+export const PROGRAM_FORMAT = "3dvideogen-program";
+export const PROGRAM_VERSION = 1;
+
+// Largest generated layouts: bigger fields are refused rather than built
+export const MAX_LAYOUT_RADIUS = 100;
+export const MAX_LAYOUT_SIZE = 200; // width and height
+
+// Degrees per rotation step on a topology
+const stepDegrees = (topology) => Math.round((TOPOLOGIES[topology].stepAngle * 180) / Math.PI);
+
+function isMultipleOfStep(deg, stepDeg) {
+  return Math.abs(deg / stepDeg - Math.round(deg / stepDeg)) < 1e-9;
+}
+
+/**
+ * Check a parsed program object. Returns a normalized program
+ * ({ topology, layout, coords, orientations, connected, groups, moves, edgeEvents, yarns, rods, viewpoints, mechanics, motors }) or throws an Error
+ * whose `errors` property lists every problem found.
+ */
+export function validateProgram(data) {
+  const errors = [];
+  const fail = (msg) => errors.push(msg);
+  // An optional list field; anything but an array is reported and read as empty
+  const listOf = (name) => {
+    if (data[name] === undefined) return [];
+    if (Array.isArray(data[name])) return data[name];
+    fail(`${name} must be an array`);
+    return [];
+  };
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw Object.assign(new Error("Program must be a JSON object"), { errors: ["Program must be a JSON object"] });
+  }
+  if (data.format !== PROGRAM_FORMAT) fail(`format must be "${PROGRAM_FORMAT}"`);
+  if (data.version !== PROGRAM_VERSION) fail(`unsupported version ${JSON.stringify(data.version)} (expected ${PROGRAM_VERSION})`);
+
+  // Grid type
+  let topology = data.topology ?? DEFAULT_TOPOLOGY;
+  if (!TOPOLOGY_NAMES.includes(topology)) {
+    fail(`topology must be one of ${TOPOLOGY_NAMES.join(", ")}`);
+    topology = DEFAULT_TOPOLOGY;
+  }
+  const STEP_DEG = stepDegrees(topology);
+  const { isCell, cellAt } = TOPOLOGIES[topology];
+
+  // A generator's `remove` list: "q,r" keys, or null when it is not one
+  const removeList = (remove, where) => {
+    if (remove === undefined) return [];
+    if (!Array.isArray(remove)) fail(`${where}.remove must be an array of "q,r" keys`);
+    else {
+      const bad = remove.filter((k) => typeof k !== "string" || !/^-?\d+,-?\d+$/.test(k));
+      if (bad.length === 0) return remove;
+      fail(`${where}.remove: ${bad.map((k) => JSON.stringify(k)).join(", ")} ${bad.length === 1 ? "is not a" : "are not"} "q,r" key${bad.length === 1 ? "" : "s"}`);
+    }
+    return null;
+  };
+
+  // Layout
+  let coords = [];
+  const layout = data.layout ?? {};
+  if (Array.isArray(layout.coords)) {
+    layout.coords.forEach((c, i) => {
+      if (!Number.isInteger(c?.q) || !Number.isInteger(c?.r)) fail(`layout.coords[${i}]: q and r must be integers`);
+      else if (!isCell(c.q, c.r)) fail(`layout.coords[${i}]: ${keyFor(c.q, c.r)} is not a cell of the ${topology} grid`);
+      else coords.push({ q: c.q, r: c.r });
+    });
+  } else if (layout.blob) {
+    const { radius } = layout.blob;
+    const remove = removeList(layout.blob.remove, "layout.blob");
+    if (!Number.isInteger(radius) || radius < 0 || radius > MAX_LAYOUT_RADIUS) {
+      fail(`layout.blob.radius must be an integer 0..${MAX_LAYOUT_RADIUS}`);
+    } else if (remove) coords = generateLayout({ type: "hexagon", radius, remove, topology });
+  } else if (layout.generator) {
+    const spec = layout.generator;
+    const hex = spec.type === "hexagon";
+    const sizes = hex ? ["radius"] : ["width", "height"];
+    const [min, max] = hex ? [0, MAX_LAYOUT_RADIUS] : [1, MAX_LAYOUT_SIZE];
+    const remove = removeList(spec.remove, "layout.generator");
+    if (!LAYOUT_SHAPES.includes(spec.type)) fail(`layout.generator.type must be one of ${LAYOUT_SHAPES.join(", ")}`);
+    else if (sizes.some((k) => !Number.isInteger(spec[k]) || spec[k] < min || spec[k] > max)) {
+      fail(`layout.generator: ${sizes.join(" and ")} must be ${hex ? "an integer" : "integers"} ${min}..${max}`);
+    } else if (remove) coords = generateLayout({ ...spec, remove, topology });
+  } else {
+    fail('layout must have "coords", "blob" or "generator"');
+  }
+
+  const keys = new Set();
+  coords.forEach(({ q, r }) => {
+    const key = keyFor(q, r);
+    if (keys.has(key)) fail(`layout: carrier ${key} is listed twice`);
+    keys.add(key);
+  });
+  if (coords.length === 0 && errors.length === 0) fail("layout has no carriers");
+
+  // Initial orientations
+  const orientations = {};
+  let orientationMap = data.orientations ?? {};
+  if (typeof orientationMap !== "object" || Array.isArray(orientationMap)) {
+    fail("orientations must be an object of carrier -> degrees");
+    orientationMap = {};
+  }
+  Object.entries(orientationMap).forEach(([key, deg]) => {
+    if (!keys.has(key)) fail(`orientations: unknown carrier "${key}"`);
+    else if (typeof deg !== "number" || !isMultipleOfStep(deg, STEP_DEG)) fail(`orientations["${key}"]: ${deg} is not a multiple of ${STEP_DEG}°`);
+    else orientations[key] = deg;
+  });
+
+  // Edge keys must name two neighbouring carriers of the layout; returns the
+  // normalized key or null
+  const checkEdge = (edge, where) => {
+    const parts = typeof edge === "string" ? edge.split("|") : [];
+    if (parts.length !== 2) {
+      fail(`${where}: "${edge}" is not an "a|b" edge key`);
+      return null;
+    }
+    const [a, b] = parts;
+    const unknown = [a, b].filter((k) => !keys.has(k));
+    if (unknown.length) fail(`${where}: unknown carrier ${unknown.map((k) => `"${k}"`).join(", ")}`);
+    else if (!areNeighbors(a, b, topology)) fail(`${where}: ${a} and ${b} are not neighbours`);
+    else return edgeKey(a, b);
+    return null;
+  };
+
+  // Initial connected edges
+  const connected = [];
+  listOf("connected").forEach((edge, i) => {
+    const key = checkEdge(edge, `connected[${i}]`);
+    if (key) connected.push(key);
+  });
+
+  // Edge events (connections switched on / off while the schedule runs)
+  const edgeEvents = [];
+  listOf("edgeEvents").forEach((e, i) => {
+    const where = `edgeEvents[${i}]`;
+    const key = checkEdge(e?.edge, where);
+    if (!key) return;
+    if (typeof e.connected !== "boolean") fail(`${where}: connected must be true or false`);
+    else if (!(e.time >= 0)) fail(`${where}: time must be a number >= 0`);
+    else edgeEvents.push({ edge: key, connected: e.connected, time: e.time });
+  });
+
+  // Named carrier groups
+  const groups = {};
+  if (data.groups !== undefined) {
+    if (!data.groups || typeof data.groups !== "object" || Array.isArray(data.groups)) {
+      fail("groups must be an object of named carrier lists");
+    } else {
+      Object.entries(data.groups).forEach(([name, members]) => {
+        if (groupNameError(name)) fail(`groups: ${groupNameError(name)}`);
+        else if (!Array.isArray(members)) fail(`groups.${name}: expected an array of carrier keys`);
+        else if (members.some((k) => !keys.has(k))) {
+          fail(`groups.${name}: unknown carrier ${members.filter((k) => !keys.has(k)).map((k) => `"${k}"`).join(", ")}`);
+        } else groups[name] = [...new Set(members)];
+      });
+    }
+  }
+
+  // Moves (group moves expanded per member)
+  const moves = [];
+  listOf("moves").forEach((m, i) => {
+    const where = `moves[${i}]`;
+    if (m?.group !== undefined) {
+      if (!groupMembers(groups, m.group)) {
+        fail(`${where}: unknown group "${m.group}"`);
+        return;
+      }
+    } else if (!keys.has(m?.key)) {
+      fail(`${where}: unknown carrier "${m?.key}"`);
+      return;
+    }
+    let dir = m.dir;
+    let steps = m.steps ?? 1;
+    if (m.angle !== undefined) {
+      if (typeof m.angle !== "number" || !isMultipleOfStep(m.angle, STEP_DEG)) {
+        fail(`${where}: angle ${m.angle} is not a multiple of ${STEP_DEG}°`);
+        return;
+      }
+      dir = m.angle < 0 ? "cw" : "ccw";
+      steps = Math.round(Math.abs(m.angle) / STEP_DEG);
+    }
+    if (dir !== "cw" && dir !== "ccw") fail(`${where}: dir must be "cw" or "ccw"`);
+    else if (!Number.isInteger(steps) || steps < 0) fail(`${where}: steps must be a whole number of ${STEP_DEG}° turns`);
+    else if (!(m.start >= 0)) fail(`${where}: start must be a number >= 0`);
+    else if (!(m.duration >= 0)) fail(`${where}: duration must be a number >= 0`);
+    else {
+      const move = { dir, steps, start: m.start, duration: m.duration };
+      moves.push(...expandGroupMoves([m.group !== undefined ? { ...move, group: m.group } : { ...move, key: m.key }], groups));
+    }
+  });
+
+  // Sides of a (known) carrier: 0..n-1
+  const sidesOf = (key) => {
+    const { q, r } = parseKey(key);
+    return cellAt(q, r).sides;
+  };
+  const badSide = (key, side) => !Number.isInteger(side) || side < 0 || side >= sidesOf(key);
+
+  // Yarns (start positions for the handoff simulation)
+  const yarns = [];
+  const yarnIds = new Set();
+  const yarnSlots = new Set();
+  listOf("yarns").forEach((y, i) => {
+    const where = `yarns[${i}]`;
+    if (typeof y?.id !== "string" || !y.id) fail(`${where}: id must be a non-empty string`);
+    else if (yarnIds.has(y.id)) fail(`${where}: duplicate id "${y.id}"`);
+    else if (!keys.has(y.carrier)) fail(`${where}: unknown carrier "${y.carrier}"`);
+    else if (badSide(y.carrier, y.side)) fail(`${where}: side must be an integer 0..${sidesOf(y.carrier) - 1}`);
+    else if (yarnSlots.has(`${y.carrier}#${y.side}`)) fail(`${where}: side ${y.side} of ${y.carrier} already holds a yarn`);
+    else {
+      yarnIds.add(y.id);
+      yarnSlots.add(`${y.carrier}#${y.side}`);
+      yarns.push({ id: y.id, carrier: y.carrier, side: y.side });
+    }
+  });
+
+  // Rods (3D view); `null` when the file has no rod list so views can use their default
+  let rods = null;
+  if (data.rods !== undefined) {
+    rods = [];
+    listOf("rods").forEach((r, i) => {
+      const where = `rods[${i}]`;
+      if (!keys.has(r?.carrier)) fail(`${where}: unknown carrier "${r?.carrier}"`);
+      else if (badSide(r.carrier, r.side)) fail(`${where}: side must be an integer 0..${sidesOf(r.carrier) - 1}`);
+      else if (r.color !== undefined && !/^#[0-9a-f]{6}$/i.test(r.color)) fail(`${where}: color must look like "#9b59b6"`);
+      else if (r.feed !== undefined && !(Array.isArray(r.feed) && r.feed.length === 3 && r.feed.every(Number.isFinite))) {
+        fail(`${where}: feed must be an [x, y, z] array of numbers`);
+      } else {
+        rods.push({
+          carrier: r.carrier,
+          side: r.side,
+          color: r.color === undefined ? undefined : parseInt(r.color.slice(1), 16),
+          feed: r.feed,
+        });
+      }
+    });
+  }
+
+  // Saved camera viewpoints (3D view), by name
+  const viewpoints = {};
+  const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+  if (data.viewpoints !== undefined) {
+    if (!data.viewpoints || typeof data.viewpoints !== "object" || Array.isArray(data.viewpoints)) {
+      fail("viewpoints must be an object of named viewpoints");
+    } else {
+      Object.entries(data.viewpoints).forEach(([name, v]) => {
+        if (BUILTIN_VIEWS.includes(name)) fail(`viewpoints.${name}: "${name}" is a built-in view`);
+        else if (!isVec3(v?.position) || !isVec3(v?.target)) fail(`viewpoints.${name}: position and target must be [x, y, z] arrays`);
+        else viewpoints[name] = { position: [...v.position], target: [...v.target] };
+      });
+    }
+  }
+
+  // Drive-train couplings (mechanics mode)
+  let mechanics = null;
+  if (data.mechanics !== undefined) {
+    const m = data.mechanics;
+    const isCoupling = (c) => COUPLINGS.includes(c);
+    if (!m || typeof m !== "object" || Array.isArray(m)) fail("mechanics must be an object");
+    else {
+      mechanics = { default: m.default ?? "clutch", couplings: {} };
+      if (!isCoupling(mechanics.default)) fail(`mechanics.default must be one of ${COUPLINGS.join(", ")}`);
+      Object.entries(m.couplings ?? {}).forEach(([edge, coupling]) => {
+        const key = checkEdge(edge, `mechanics.couplings["${edge}"]`);
+        if (!key) return;
+        if (!isCoupling(coupling)) fail(`mechanics.couplings["${edge}"] must be one of ${COUPLINGS.join(", ")}`);
+        else mechanics.couplings[key] = coupling;
+      });
+    }
+  }
+
+  // Motor map for machine code export (machineCode.js)
+  let motors = null;
+  if (data.motors !== undefined) {
+    if (!data.motors || typeof data.motors !== "object" || Array.isArray(data.motors)) fail("motors must be an object of carrier -> motor index");
+    else {
+      const motorErrors = motorMapErrors(data.motors, [...keys]);
+      motorErrors.forEach(fail);
+      if (motorErrors.length === 0) motors = { ...data.motors };
+    }
+  }
+
+  if (errors.length) {
+    const err = new Error(`Invalid program:\n- ${errors.join("\n- ")}`);
+    err.errors = errors;
+    throw err;
+  }
+
+  return { topology, layout, coords, orientations, connected, groups, moves, edgeEvents, yarns, rods, viewpoints, mechanics, motors };
+}
+
+export function parseProgram(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    const err = new Error(`Program is not valid JSON: ${e.message}`);
+    err.errors = [err.message];
+    throw err;
+  }
+  return validateProgram(data);
+}
+
+/**
+ * Build a program object from live state.
+ * `carriers` is the view's list ({ q, r, key, rotation }), rotations in radians.
+ * `rods` colours are numbers (0x9b59b6); pass null to leave the rod list out.
+ * `groups` and `viewpoints` are left out when there are none, `mechanics`
+ * and `motors` when they are null; moves tagged
+ * with a group (groups.js) are saved as group moves where they still cover it.
+ */
+export function serializeProgram({
+  topology = DEFAULT_TOPOLOGY,
+  carriers,
+  connected = [],
+  groups = {},
+  moves = [],
+  edgeEvents = [],
+  yarns = [],
+  rods = null,
+  viewpoints = {},
+  mechanics = null,
+  motors = null,
+}) {
+  const STEP_DEG = stepDegrees(topology);
+  const orientations = {};
+  carriers.forEach((c) => {
+    const deg = Math.round((c.rotation * 180) / Math.PI / STEP_DEG) * STEP_DEG;
+    if (deg !== 0) orientations[c.key] = deg;
+  });
+  return {
+    format: PROGRAM_FORMAT,
+    version: PROGRAM_VERSION,
+    ...(topology !== DEFAULT_TOPOLOGY && { topology }),
+    layout: { coords: carriers.map(({ q, r }) => ({ q, r })) },
+    orientations,
+    connected: [...connected],
+    ...(Object.keys(groups).length > 0 && { groups: structuredClone(groups) }),
+    moves: collapseGroupMoves(moves, groups).map(({ key, group, dir, steps, start, duration }) => ({
+      ...(group !== undefined ? { group } : { key }),
+      dir,
+      steps,
+      start,
+      duration,
+    })),
+    edgeEvents: edgeEvents.map(({ edge, connected, time }) => ({ edge, connected, time })),
+    yarns: yarns.map(({ id, carrier, side }) => ({ id, carrier, side })),
+    ...(rods && {
+      rods: rods.map(({ carrier, side, color, feed }) => ({
+        carrier,
+        side,
+        ...(color !== undefined && { color: `#${color.toString(16).padStart(6, "0")}` }),
+        ...(feed && { feed }),
+      })),
+    }),
+    ...(Object.keys(viewpoints).length > 0 && { viewpoints: structuredClone(viewpoints) }),
+    ...(mechanics && { mechanics: structuredClone(mechanics) }),
+    ...(motors && { motors: { ...motors } }),
+  };
+}
@@ -0,0 +1,67 @@
+// node --test Three.js/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseProgram, serializeProgram, validateProgram } from "./program.js";
+
+const HEADER = { format: "3dvideogen-program", version: 1 };
+const PAIR = { coords: [{ q: 0, r: 0 }, { q: 1, r: 0 }] };
+
+// The validation errors for a program, or [] when it is valid
+function errorsOf(text) {
+  try {
+    parseProgram(text);
+    return [];
+  } catch (e) {
+    assert.ok(Array.isArray(e.errors), `no errors list: ${e.stack}`);
+    return e.errors;
+  }
+}
+
+const program = (fields) => JSON.stringify({ ...HEADER, layout: PAIR, ...fields });
+
+const MALFORMED = [
+  ["a non-array blob remove", { layout: { blob: { radius: 1, remove: 5 } } }, /^layout\.blob\.remove must be an array/],
+  ["blob remove entries that are not keys", { layout: { blob: { radius: 1, remove: [3, "a"] } } }, /^layout\.blob\.remove: 3, "a" are not "q,r" keys$/],
+  ["a huge blob", { layout: { blob: { radius: 2000 } } }, /^layout\.blob\.radius must be an integer 0\.\.100$/],
+  ["a non-array generator remove", { layout: { generator: { type: "hexagon", radius: 1, remove: "0,0" } } }, /^layout\.generator\.remove must be an array/],
+  ["a huge generated rectangle", { layout: { generator: { type: "rectangle", width: 5000, height: 2 } } }, /^layout\.generator: width and height must be integers 1\.\.200$/],
+  ["moves that are not a list", { moves: 5 }, /^moves must be an array$/],
+  ["yarns that are not a list", { yarns: { id: "y" } }, /^yarns must be an array$/],
+  ["a move for an inherited group name", { moves: [{ group: "toString", dir: "cw", steps: 1, start: 0, duration: 1 }] }, /^moves\[0\]: unknown group "toString"$/],
+];
+
+for (const [what, fields, message] of MALFORMED) {
+  test(`${what} is reported, not thrown`, () => {
+    const errors = errorsOf(program(fields));
+    assert.ok(errors.some((e) => message.test(e)), errors.join("\n"));
+  });
+}
+
+test("reserved group names are rejected", () => {
+  // JSON.parse makes "__proto__" an own key, unlike an object literal
+  const errors = errorsOf(`{"format":"3dvideogen-program","version":1,"layout":{"blob":{"radius":1}},"groups":{"__proto__":["0,0"]}}`);
+  assert.deepEqual(errors, ['groups: "__proto__" is reserved and cannot name a group']);
+});
+
+test("a program survives a save and load", () => {
+  const loaded = parseProgram(
+    program({
+      orientations: { "0,0": 60 },
+      connected: ["0,0|1,0"],
+      groups: { A: ["0,0", "1,0"] },
+      moves: [
+        { group: "A", dir: "cw", steps: 1, start: 0, duration: 1 },
+        { key: "0,0", dir: "ccw", steps: 2, start: 1, duration: 0.5 },
+      ],
+    })
+  );
+  assert.equal(loaded.moves.length, 3);
+  const carriers = loaded.coords.map(({ q, r }) => ({ q, r, key: `${q},${r}`, rotation: ((loaded.orientations[`${q},${r}`] ?? 0) * Math.PI) / 180 }));
+  const saved = serializeProgram({ ...loaded, carriers });
+  assert.deepEqual(saved.orientations, { "0,0": 60 });
+  assert.deepEqual(saved.moves, [
+    { group: "A", dir: "cw", steps: 1, start: 0, duration: 1 },
+    { key: "0,0", dir: "ccw", steps: 2, start: 1, duration: 0.5 },
+  ]);
+  assert.deepEqual(validateProgram(saved).moves, loaded.moves);
+});
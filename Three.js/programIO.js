@@ -0,0 +1,47 @@
+/**
+ * Load / save braiding programs: toolbar buttons, a hidden file picker and
+ * drag-and-drop of .json files onto the canvas. Parsing and validation live
+ * in program.js; this file only moves text in and out of the browser.
+ */
+
+import { parseProgram } from "./program.js";
+import { downloadText } from "./download.js";
+
+export function attachProgramIO({ canvas, toolbar, onLoad, getProgram, fileName = "program.json" }) {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.style.display = "none";
+  document.body.appendChild(input);
+
+  async function loadFile(file) {
+    try {
+      const program = parseProgram(await file.text());
+      onLoad(program);
+      toolbar.showMessage(`Loaded ${file.name}`);
+    } catch (e) {
+      toolbar.showMessage(`${file.name}: ${e.message}`, { error: true });
+    }
+  }
+
+  input.addEventListener("change", () => {
+    if (input.files[0]) loadFile(input.files[0]);
+    input.value = "";
+  });
+
+  canvas.addEventListener("dragover", (e) => e.preventDefault());
+  canvas.addEventListener("drop", (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) loadFile(file);
+  });
+
+  function save() {
+    downloadText(JSON.stringify(getProgram(), null, 2), fileName, "application/json");
+  }
+
+  toolbar.addButton("Load", "Load program (.json), or drop a file on the canvas", () => input.click());
+  toolbar.addButton("Save", "Save program as .json", save);
+
+  return { loadFile, save };
+}
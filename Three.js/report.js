@@ -0,0 +1,121 @@
+/**
+ * Run reports for the command line (cli.js) and CI (headless: no THREE / DOM).
+ *
+ * `runReport` loads a validated program (program.js) into a session
+ * (session.js), plays the schedule to its end with the stepping the views
+ * use, and collects:
+ * - orientations: every carrier's final orientation in degrees
+ * - connected:    edges connected at the end, after any edge events
+ * - rods:         the gap each rod ends up in (null when its side faces no gap)
+ * - yarns:        each yarn's path, [{ time, carrier, side, event }]
+ * - problems:     checker results (collisions.js, mechanics.js)
+ *
+ * Keys are sorted and times rounded, so the same program always gives the
+ * same report: a saved JSON report is a snapshot to compare later runs with.
+ */
+
+import { createSession } from "./session.js";
+import { edgeKey, carrierSteps, worldSideOf } from "./carrierModel.js";
+import { neighbourSideTable } from "./yarnSim.js";
+
+const round = (t) => Math.round(t * 1e6) / 1e6;
+const byKey = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+export function runReport(program) {
+  const session = createSession();
+  session.loadProgram(program);
+  const { model, sequencer } = session;
+  const duration = sequencer.duration();
+  sequencer.seek(duration);
+
+  const stepDeg = Math.round((model.stepAngle * 180) / Math.PI);
+  const orientations = Object.fromEntries(
+    model.carriers
+      .map((c) => [c.key, carrierSteps(c) * stepDeg])
+      .sort((a, b) => byKey(a[0], b[0]))
+  );
+
+  const connected = model.edges
+    .map((e) => e.key)
+    .filter(session.isConnected)
+    .sort(byKey);
+
+  // Same placement rule as the 3D view's rods
+  const neighbourAt = neighbourSideTable(model.carriers, model.neighbors);
+  const rods = model.rods.map((rod) => {
+    const anchor = model.get(rod.carrier);
+    const nb = neighbourAt.get(rod.carrier)[worldSideOf(anchor, rod.side, carrierSteps(anchor))];
+    const placed = nb && model.rodPlacement(rod) !== null;
+    return { id: rod.id, carrier: rod.carrier, side: rod.side, gap: placed ? edgeKey(rod.carrier, nb) : null };
+  });
+
+  const yarns = Object.fromEntries(
+    [...session.yarnRun.paths]
+      .sort((a, b) => byKey(a[0], b[0]))
+      .map(([id, path]) => [id, path.map(({ time, carrier, side, event }) => ({ time: round(time), carrier, side, event }))])
+  );
+
+  const problems = session.problems.map(({ type, step, key, other, time, message }) => ({
+    type,
+    step,
+    key: key ?? null,
+    other: other ?? null,
+    time: round(time),
+    message,
+  }));
+
+  return {
+    carriers: model.carriers.length,
+    moves: sequencer.steps.length,
+    duration: round(duration),
+    mechanics: session.mechanics !== null,
+    orientations,
+    connected,
+    rods,
+    yarns,
+    problems,
+    ok: problems.length === 0,
+  };
+}
+
+// Plain-text version of a report
+export function formatReport(report) {
+  const lines = [
+    `${report.carriers} carriers, ${report.moves} moves, ${report.duration} s${report.mechanics ? ", mechanics on" : ""}`,
+  ];
+  const turned = Object.entries(report.orientations).filter(([, deg]) => deg !== 0);
+  lines.push(`orientations (deg): ${turned.length ? turned.map(([key, deg]) => `${key}=${deg}`).join(" ") : "all 0"}`);
+  lines.push(`connected: ${report.connected.length ? report.connected.join(" ") : "none"}`);
+  report.rods.forEach((r) => lines.push(`rod ${r.id} on ${r.carrier} side ${r.side}: ${r.gap ? `in gap ${r.gap}` : "not in a gap"}`));
+  const yarnIds = Object.keys(report.yarns);
+  lines.push(yarnIds.length ? "yarns:" : "yarns: none");
+  yarnIds.forEach((id) => {
+    const path = report.yarns[id];
+    const hops = path.filter((p) => p.event === "start" || p.event === "transfer");
+    lines.push(`  ${id}: ${hops.map((p) => `${p.carrier}#${p.side}@${p.time}`).join(" -> ")}`);
+  });
+  lines.push(`problems: ${report.problems.length ? report.problems.length : "none"}`);
+  report.problems.forEach((p) => lines.push(`  [${p.type}] t=${p.time} ${p.message}`));
+  lines.push(report.ok ? "OK" : "FAILED");
+  return lines.join("\n");
+}
+
+/**
+ * Differences between two reports (or snapshots) as readable lines, e.g.
+ * "orientations.0,0: 60 -> 120"; empty when they match.
+ */
+export function compareReports(expected, actual, path = "") {
+  const name = path || "report";
+  if (expected === actual) return [];
+  const isObject = (v) => v !== null && typeof v === "object";
+  if (!isObject(expected) || !isObject(actual) || Array.isArray(expected) !== Array.isArray(actual)) {
+    return [`${name}: ${JSON.stringify(expected)} -> ${JSON.stringify(actual)}`];
+  }
+  const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  return keys.flatMap((k) => {
+    const sub = path ? `${path}.${k}` : k;
+    if (!(k in actual)) return [`${sub}: removed`];
+    if (!(k in expected)) return [`${sub}: added ${JSON.stringify(actual[k])}`];
+    return compareReports(expected[k], actual[k], sub);
+  });
+}
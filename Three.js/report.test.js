@@ -0,0 +1,57 @@
+// node --test Three.js/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateProgram } from "./program.js";
+import { compareReports, formatReport, runReport } from "./report.js";
+
+// Two hexagons side by side; one CCW step of 0,0 hands its yarn on side 5 to 1,0
+const program = () =>
+  validateProgram({
+    format: "3dvideogen-program",
+    version: 1,
+    layout: { coords: [{ q: 0, r: 0 }, { q: 1, r: 0 }] },
+    connected: ["0,0|1,0"],
+    moves: [{ key: "0,0", dir: "ccw", steps: 1, start: 0, duration: 1 }],
+    yarns: [{ id: "y", carrier: "0,0", side: 5 }],
+  });
+
+test("runReport plays the schedule to its end", () => {
+  const report = runReport(program());
+  assert.equal(report.carriers, 2);
+  assert.equal(report.moves, 1);
+  assert.equal(report.duration, 1);
+  assert.deepEqual(report.orientations, { "0,0": 60, "1,0": 0 });
+  assert.deepEqual(report.connected, ["0,0|1,0"]);
+  assert.deepEqual(
+    report.yarns.y.map(({ carrier, side, event }) => [carrier, side, event]),
+    [
+      ["0,0", 5, "start"],
+      ["1,0", 3, "transfer"],
+    ]
+  );
+  assert.deepEqual(report.problems, []);
+  assert.equal(report.ok, true);
+});
+
+test("formatReport lists turned carriers and yarn hops", () => {
+  const lines = formatReport(runReport(program())).split("\n");
+  assert.equal(lines[0], "2 carriers, 1 moves, 1 s");
+  assert.ok(lines.includes("orientations (deg): 0,0=60"));
+  assert.ok(lines.includes("yarns:"));
+  assert.ok(lines.includes("  y: 0,0#5@0 -> 1,0#3@1"));
+  assert.equal(lines.at(-1), "OK");
+});
+
+test("compareReports names what changed", () => {
+  const report = runReport(program());
+  assert.deepEqual(compareReports(report, runReport(program())), []);
+  const snapshot = structuredClone(report);
+  snapshot.orientations["0,0"] = 120;
+  snapshot.connected = [];
+  delete snapshot.mechanics;
+  assert.deepEqual(compareReports(snapshot, report), [
+    "orientations.0,0: 120 -> 60",
+    "connected.0: added \"0,0|1,0\"",
+    "mechanics: added false",
+  ]);
+});
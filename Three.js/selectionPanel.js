@@ -0,0 +1,92 @@
+/**
+ * Selection panel: grow the selection along grid lines and rings, and save
+ * or recall named groups (groups.js). The views handle clicks, shift-clicks
+ * and the 2D selection box; this file only holds the controls.
+ */
+
+import { LINE_AXES, groupMembers, lineAxes, lineKeys, ringKeys } from "./groups.js";
+
+export function createSelectionPanel({ toolbar, session }) {
+  const { model } = session;
+  const panel = toolbar.addPanel();
+
+  const button = (label, title, onClick) => {
+    const b = document.createElement("button");
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener("click", onClick);
+    panel.appendChild(b);
+    return b;
+  };
+
+  // Lines and rings through the primary selected carrier
+  const selectKeys = (keys) => session.selectMany(keys.map((k) => model.get(k)));
+  const fromSelected = (fn) => () => {
+    if (!session.selected) {
+      toolbar.showMessage("Select a carrier first");
+      return;
+    }
+    selectKeys(fn(session.selected.key));
+  };
+  const axisButtons = LINE_AXES.map((axis) => {
+    const label = axis[0].toUpperCase() + axis.slice(1);
+    const select = (key) => lineKeys(model.carriers, key, axis, model.topology);
+    return { axis, button: button(label, `Select the ${axis} through the selected carrier`, fromSelected(select)) };
+  });
+  // Only the lines the loaded grid has (groups.js lineAxes)
+  const syncAxes = () => {
+    const axes = lineAxes(model.topology);
+    axisButtons.forEach(({ axis, button: b }) => (b.style.display = axes.includes(axis) ? "" : "none"));
+  };
+  session.on("field", syncAxes);
+  syncAxes();
+  button("Ring", "Select the ring around 0,0 through the selected carrier", fromSelected((key) => ringKeys(model.carriers, key, model.topology)));
+  button("All", "Select every carrier", () => session.selectMany(model.carriers));
+  button("None", "Clear the selection", () => session.select(null));
+
+  // Named groups, saved with the program
+  const groupSelect = document.createElement("select");
+  const nameInput = document.createElement("input");
+  nameInput.placeholder = "group name";
+  nameInput.style.width = "80px";
+  panel.append(groupSelect);
+  button("Select", "Select this group", () => {
+    const keys = groupMembers(session.groups, groupSelect.value);
+    if (keys) selectKeys(keys);
+  });
+  button("Delete", "Delete this group (undoable)", () => {
+    try {
+      session.removeGroup(groupSelect.value);
+    } catch (e) {
+      toolbar.showMessage(e.message, { error: true });
+    }
+  });
+  panel.append(nameInput);
+  button("Save group", "Save the selection as a named group", () => {
+    let name;
+    try {
+      name = session.saveGroup(nameInput.value);
+    } catch (e) {
+      toolbar.showMessage(e.message, { error: true });
+      return;
+    }
+    groupSelect.value = name;
+    toolbar.showMessage(`Saved group "${name}" (${session.groups[name].length} carriers)`);
+  });
+
+  const syncGroups = () => {
+    const current = groupSelect.value;
+    groupSelect.replaceChildren(...Object.keys(session.groups).map((name) => new Option(name, name)));
+    if (groupMembers(session.groups, current)) groupSelect.value = current;
+  };
+  session.on("groups", syncGroups);
+  syncGroups();
+
+  const hint = document.createElement("span");
+  hint.textContent = "Shift-click adds a carrier, shift-drag in 2D boxes them; arrow keys turn them all.";
+  panel.appendChild(hint);
+
+  toolbar.addButton("Select", "Multi-select and carrier groups", () => {
+    panel.style.display = panel.style.display === "flex" ? "none" : "flex";
+  });
+}
@@ -0,0 +1,209 @@
+/**
+ * STEP 3: timed activation sequencer for carrier rotations.
+ *
+ * A schedule is a list of steps:
+ *   { key: "0,0", dir: "cw" | "ccw", steps: 1, start: 0, duration: 0.6 }
+ * where `steps` counts rotation steps (60° on the hex grid, see
+ * carrierModel.js TOPOLOGIES) and times are in seconds.
+ *
+ * Edge events switch a textile connection on or off at a time:
+ *   { edge: "0,0|1,0", connected: true, time: 1.5 }
+ * The sequencer only keeps them on the timeline (stepping stops at them and
+ * the duration covers them); `connectedAt` gives the edge set at a time.
+ *
+ * The rotation of a carrier at time t is a pure function of t, so play,
+ * pause, stepping and scrubbing all go through the same `seek()`.
+ * No THREE / DOM here: the views pass an `onApply` callback that copies
+ * `carrier.rotation` onto their meshes and refreshes edges / rods.
+ */
+
+export const DEFAULT_STEP_ANGLE = Math.PI / 3; // 60 degrees per step
+
+const DIR_SIGN = { cw: -1, ccw: 1 }; // matches ArrowRight = clockwise = -ROTATION_STEP
+const EPS = 1e-6;
+
+function normalizeStep(step, idx) {
+  const sign = DIR_SIGN[step.dir];
+  if (!sign) throw new Error(`step ${idx}: dir must be "cw" or "ccw", got ${JSON.stringify(step.dir)}`);
+  const steps = step.steps ?? 1;
+  const start = step.start ?? 0;
+  const duration = step.duration ?? 0;
+  if (!Number.isInteger(steps) || steps < 0) throw new Error(`step ${idx}: steps must be a non-negative integer`);
+  if (!(start >= 0)) throw new Error(`step ${idx}: start must be >= 0`);
+  if (!(duration >= 0)) throw new Error(`step ${idx}: duration must be >= 0`);
+  // `group` tags moves expanded from a group move (groups.js)
+  return { key: step.key, dir: step.dir, steps, start, duration, sign, ...(step.group !== undefined && { group: step.group }) };
+}
+
+function normalizeEdgeEvent(event, idx) {
+  if (typeof event.edge !== "string") throw new Error(`edge event ${idx}: edge must be an "a|b" key`);
+  if (typeof event.connected !== "boolean") throw new Error(`edge event ${idx}: connected must be true or false`);
+  if (!(event.time >= 0)) throw new Error(`edge event ${idx}: time must be >= 0`);
+  return { edge: event.edge, connected: event.connected, time: event.time };
+}
+
+/**
+ * Connected edges at time t: `connected` (the edges at the start) with every
+ * edge event up to and including t applied in time order.
+ */
+export function connectedAt(connected, events, t) {
+  const result = new Set(connected);
+  [...events].sort((a, b) => a.time - b.time).forEach((e) => {
+    if (e.time > t + EPS) return;
+    if (e.connected) result.add(e.edge);
+    else result.delete(e.edge);
+  });
+  return result;
+}
+
+// Fraction of a step completed at time t, with ease-in-out so carriers don't jerk
+function progressAt(step, t) {
+  if (t <= step.start) return 0;
+  if (step.duration <= 0 || t >= step.start + step.duration) return 1;
+  const u = (t - step.start) / step.duration;
+  return u * u * (3 - 2 * u);
+}
+
+// stepAngle: radians per step, or a function returning it (the session's current topology)
+export function createSequencer({ steps = [], stepAngle = DEFAULT_STEP_ANGLE, getCarrier, onApply } = {}) {
+  const angleOfStep = typeof stepAngle === "function" ? stepAngle : () => stepAngle;
+  let schedule = [];
+  let edgeEvents = [];
+  let boundaries = [0];
+  let time = 0;
+  let playing = false;
+  let speed = 1;
+  // Offset already added to each carrier.rotation, so manual rotations made
+  // between frames are kept instead of being overwritten by the schedule.
+  const applied = new Map();
+
+  function offsetsAt(t) {
+    const offsets = new Map();
+    schedule.forEach((step) => {
+      const delta = step.sign * step.steps * angleOfStep() * progressAt(step, t);
+      offsets.set(step.key, (offsets.get(step.key) ?? 0) + delta);
+    });
+    return offsets;
+  }
+
+  function apply() {
+    const offsets = offsetsAt(time);
+    const changed = [];
+    offsets.forEach((offset, key) => {
+      const carrier = getCarrier(key);
+      if (!carrier) return;
+      const prev = applied.get(key) ?? 0;
+      if (Math.abs(offset - prev) < EPS) return;
+      carrier.rotation += offset - prev;
+      applied.set(key, offset);
+      changed.push(carrier);
+    });
+    if (onApply) onApply(changed, time);
+  }
+
+  function load(nextSteps, nextEdgeEvents = []) {
+    // Undo whatever the previous schedule had applied before swapping it out
+    applied.forEach((offset, key) => {
+      const carrier = getCarrier(key);
+      if (carrier) carrier.rotation -= offset;
+    });
+    applied.clear();
+    schedule = nextSteps.map(normalizeStep).sort((a, b) => a.start - b.start);
+    edgeEvents = nextEdgeEvents.map(normalizeEdgeEvent).sort((a, b) => a.time - b.time);
+    const times = new Set([0]);
+    schedule.forEach((s) => {
+      times.add(s.start);
+      times.add(s.start + s.duration);
+    });
+    edgeEvents.forEach((e) => times.add(e.time));
+    boundaries = [...times].sort((a, b) => a - b);
+    time = 0;
+    playing = false;
+    apply();
+  }
+
+  function duration() {
+    return boundaries[boundaries.length - 1];
+  }
+
+  function seek(t) {
+    time = Math.min(Math.max(t, 0), duration());
+    apply();
+  }
+
+  function update(dt) {
+    if (!playing) return;
+    const end = duration();
+    time = Math.min(time + dt * speed, end);
+    if (time >= end) playing = false;
+    apply();
+  }
+
+  // Index of the last step that has started at the current time (-1 before the first)
+  function currentStepIndex() {
+    let idx = -1;
+    schedule.forEach((s, i) => {
+      if (s.start <= time + EPS) idx = i;
+    });
+    return idx;
+  }
+
+  load(steps);
+
+  return {
+    load,
+    seek,
+    update,
+    duration,
+    currentStepIndex,
+    // Rotation the schedule has currently added to a carrier (radians)
+    appliedOffset(key) {
+      return applied.get(key) ?? 0;
+    },
+    // Rotation the schedule adds to a carrier by time t, without seeking
+    offsetAt(key, t) {
+      let offset = 0;
+      schedule.forEach((step) => {
+        if (step.key === key) offset += step.sign * step.steps * angleOfStep() * progressAt(step, t);
+      });
+      return offset;
+    },
+    play() {
+      if (time >= duration()) seek(0);
+      playing = true;
+    },
+    pause() {
+      playing = false;
+    },
+    toggle() {
+      if (playing) this.pause();
+      else this.play();
+    },
+    stepForward() {
+      playing = false;
+      const next = boundaries.find((b) => b > time + EPS);
+      seek(next ?? duration());
+    },
+    stepBack() {
+      playing = false;
+      const prev = [...boundaries].reverse().find((b) => b < time - EPS);
+      seek(prev ?? 0);
+    },
+    setSpeed(s) {
+      speed = s;
+    },
+    get time() {
+      return time;
+    },
+    get playing() {
+      return playing;
+    },
+    get steps() {
+      return schedule;
+    },
+    // Edge events, sorted by time
+    get edgeEvents() {
+      return edgeEvents;
+    },
+  };
+}
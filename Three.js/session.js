@@ -0,0 +1,636 @@
+/**
+ * Shared program state behind the 2D and 3D views (headless: no THREE / DOM).
+ *
+ * One session owns the carrier model, the activation schedule, the yarns,
+ * the selection and the latest yarn simulation / checker results. Views
+ * draw from it, change it only through its methods, and listen with
+ * `on(event, fn)`:
+ * - "field":  carriers were rebuilt (layout edit or program load)
+ * - "turn":   (carriers) those carriers' rotations changed
+ * - "select": (carrier | null) the selection changed; the argument is the
+ *             primary (last clicked) carrier, `selection` has all of them
+ * - "hover":  (carrier | null) the carrier under the pointer changed (either view)
+ * - "rods":   rods were added, removed or moved to another side
+ * - "edges":  connected edges changed (by hand, or by an edge event as the schedule runs)
+ * - "run":    ({ yarnRun, problems }) the yarn simulation and checks re-ran
+ * - "history": the undo / redo stack changed
+ * - "viewpoints": a named camera viewpoint was saved or removed
+ * - "groups": a named carrier group (groups.js) was saved or removed
+ * - "mechanics": mechanics mode was switched on / off or a coupling changed
+ * - "blocked": ({ key, other, message }) a rotation was refused by the drive train
+ * - "motors": the carrier -> machine motor map (machineCode.js) changed
+ * - "schedule": moves or edge events were edited (setSchedule) without rebuilding the field
+ * - "twin":   ({ time, measured, tensions, deviations } | null) a live machine (twin.js)
+ *             reported, or mirroring stopped
+ *
+ * With mechanics on (mechanics.js), rotating a carrier by hand turns every
+ * carrier geared to it as well, and rotations the couplings do not allow are
+ * refused with a "blocked" event instead.
+ *
+ * Rotations, selection changes, edge toggles, coupling changes, schedule edits, layout
+ * edits and program loads are recorded in `history` (history.js) and can be undone / redone.
+ */
+
+import { createCarrierModel, keyFor, sideCount, DEFAULT_TOPOLOGY } from "./carrierModel.js";
+import { createSequencer, connectedAt } from "./sequencer.js";
+import { serializeProgram } from "./program.js";
+import { simulateYarns } from "./yarnSim.js";
+import { checkProgram } from "./collisions.js";
+import { createHistory, historyToSchedule } from "./history.js";
+import { groupMembers, groupNameError } from "./groups.js";
+import { driveTrain } from "./mechanics.js";
+import { defaultMotorMap } from "./machineCode.js";
+
+export const ROD_COLORS = [0x9b59b6, 0xe67e22, 0x2980b9, 0x27ae60, 0xc0392b, 0x16a085];
+export const FEED_HEIGHT = 3; // default feed point sits this high above the rod's carrier
+
+export function createSession() {
+  const model = createCarrierModel();
+  const listeners = new Map();
+  let yarns = [];
+  let selected = null; // primary carrier of the selection
+  let selection = new Set(); // keys of every selected carrier
+  let hovered = null;
+  let yarnRun = { paths: new Map(), transfers: [] };
+  let problems = [];
+  let rodColorIndex = 0;
+  let edgeEvents = []; // as loaded into the sequencer
+  let viewpoints = {}; // saved camera viewpoints by name (viewpoints.js)
+  let groups = {}; // named carrier groups, name -> keys (groups.js)
+  let mechanics = null; // drive-train config (mechanics.js), null when mechanics mode is off
+  let motors = null; // carrier key -> machine motor (machineCode.js), null for layout order
+  let liveConnected = new Set(); // edges connected at the sequencer's current time
+  let rebuilding = false; // rebuildField holds back "turn" / "edges" until the whole field is in place
+  let twin = null; // latest measured machine state (twin.js), null when not mirroring a machine
+
+  function on(event, fn) {
+    if (!listeners.has(event)) listeners.set(event, []);
+    listeners.get(event).push(fn);
+  }
+
+  function emit(event, payload) {
+    (listeners.get(event) || []).forEach((fn) => fn(payload));
+  }
+
+  const history = createHistory({ onChange: () => emit("history") });
+
+  const sequencer = createSequencer({
+    stepAngle: () => model.stepAngle,
+    getCarrier: model.get,
+    onApply: (changed, time) => {
+      if (changed.length && !rebuilding) emit("turn", changed);
+      updateLiveEdges(time);
+    },
+  });
+
+  // Follow the edge events (sequencer.js) to the current time
+  function updateLiveEdges(time) {
+    const next = connectedAt(model.connected, edgeEvents, time);
+    if (next.size === liveConnected.size && [...next].every((k) => liveConnected.has(k))) return;
+    liveConnected = next;
+    if (!rebuilding) emit("edges");
+  }
+
+  // Carriers as they were before the schedule started
+  const baseCarriers = () => model.carriersAt(sequencer.appliedOffset);
+
+  // Re-run the yarn simulation and the checks from the pre-schedule orientations
+  function rerun() {
+    const carriers = baseCarriers();
+    yarnRun = simulateYarns({
+      carriers,
+      neighbors: model.neighbors,
+      moves: sequencer.steps,
+      yarns,
+      connected: model.connected,
+      edgeEvents,
+    });
+    problems = checkProgram({
+      carriers,
+      neighbors: model.neighbors,
+      moves: sequencer.steps,
+      rods: model.rods,
+      transfers: yarnRun.transfers,
+      mechanics,
+    });
+    emit("run", { yarnRun, problems });
+  }
+
+  // Add a rod with the default colour and feed point (above its carrier)
+  function addRodSilently({ carrier, side, color, feed }) {
+    const c = model.get(carrier);
+    return model.addRod({
+      carrier,
+      side,
+      color: color ?? ROD_COLORS[rodColorIndex++ % ROD_COLORS.length],
+      feed: feed ?? [c.x, c.y, FEED_HEIGHT],
+    });
+  }
+
+  // Rebuild carriers and adjacency for a coordinate list on a topology
+  // (carrierModel.js). Rotations, connected edges, moves, yarns, rods and group
+  // members that refer to missing carriers or sides are dropped, and rotations
+  // snap to the topology's step.
+  function rebuildField({
+    coords,
+    topology = DEFAULT_TOPOLOGY,
+    rotations,
+    connected,
+    moves,
+    edgeEvents: nextEdgeEvents = [],
+    yarns: nextYarns,
+    rods,
+    viewpoints: nextViewpoints = {},
+    groups: nextGroups = {},
+    mechanics: nextMechanics = null,
+    motors: nextMotors = null,
+  }) {
+    sequencer.load([]); // undo the old schedule while the old carriers still exist
+    model.build(coords, topology);
+    const step = model.stepAngle;
+    model.carriers.forEach((c) => {
+      c.rotation = Math.round((rotations.get(c.key) ?? 0) / step) * step;
+    });
+    model.setConnected(connected);
+    const onSide = ({ carrier, side = 0 }) => model.has(carrier) && side < sideCount(model.get(carrier));
+    yarns = nextYarns.filter(onSide);
+    model.setRods([]);
+    rods.filter(onSide).forEach(addRodSilently);
+    selected = model.get(selected?.key) ?? model.carriers[0] ?? null;
+    selection = new Set([...selection].filter(model.has));
+    if (selected) selection.add(selected.key);
+    hovered = null;
+    viewpoints = { ...nextViewpoints };
+    groups = Object.fromEntries(
+      Object.entries(nextGroups)
+        .map(([name, keys]) => [name, keys.filter(model.has)])
+        .filter(([, keys]) => keys.length > 0)
+    );
+    const edgeKeys = new Set(model.edges.map((e) => e.key));
+    mechanics = nextMechanics && {
+      default: nextMechanics.default,
+      couplings: Object.fromEntries(Object.entries(nextMechanics.couplings).filter(([edge]) => edgeKeys.has(edge))),
+    };
+    motors = nextMotors && Object.fromEntries(Object.entries(nextMotors).filter(([key]) => model.has(key)));
+    edgeEvents = nextEdgeEvents.filter((e) => edgeKeys.has(e.edge));
+    // The new schedule's first turns and edge changes are part of the new field, not events of their own
+    rebuilding = true;
+    try {
+      sequencer.load(moves.filter((m) => model.has(m.key)), edgeEvents);
+    } finally {
+      rebuilding = false;
+    }
+
+    // Listeners only hear about the new field once all of it is in place
+    emit("field");
+    emit("select", selected);
+    emit("viewpoints");
+    emit("groups");
+    emit("mechanics");
+    emit("motors");
+    emit("edges");
+    rerun();
+  }
+
+  // Everything rebuildField needs to restore the current field
+  function snapshot() {
+    return {
+      coords: model.carriers.map(({ q, r }) => ({ q, r })),
+      topology: model.topology,
+      rotations: new Map(baseCarriers().map((c) => [c.key, c.rotation])),
+      connected: model.connected,
+      moves: sequencer.steps,
+      edgeEvents,
+      yarns,
+      rods: rodSpecs(),
+      viewpoints,
+      groups,
+      mechanics,
+      motors,
+    };
+  }
+
+  // Rebuild the field and record it, so the previous field can be restored
+  function replaceField(type, label, next) {
+    const before = snapshot();
+    rebuildField(next);
+    history.record({ type, label, undo: () => rebuildField(before), redo: () => rebuildField(next) });
+  }
+
+  function loadProgram(program) {
+    replaceField("load", "load program", {
+      coords: program.coords,
+      topology: program.topology ?? DEFAULT_TOPOLOGY,
+      rotations: new Map(Object.entries(program.orientations).map(([k, deg]) => [k, (deg * Math.PI) / 180])),
+      connected: program.connected,
+      moves: program.moves,
+      edgeEvents: program.edgeEvents,
+      yarns: program.yarns,
+      // Programs without a rod list get the single default rod on the first carrier
+      rods: program.rods ?? [{ carrier: keyFor(program.coords[0].q, program.coords[0].r) }],
+      viewpoints: program.viewpoints ?? {},
+      groups: program.groups ?? {},
+      mechanics: program.mechanics ?? null,
+      motors: program.motors ?? null,
+    });
+  }
+
+  // Layout edits keep the current program for every carrier that survives;
+  // a new topology replaces the grid type too
+  function editLayout(coords, topology = model.topology) {
+    replaceField("layout", topology === model.topology ? "edit layout" : `${topology} layout`, { ...snapshot(), coords, topology });
+  }
+
+  // Rods as stored in a program (see program.js)
+  function rodSpecs() {
+    return model.rods.map(({ carrier, side, color, feed }) => ({ carrier, side, color, feed }));
+  }
+
+  // Orientations are saved as they were before the schedule started
+  function toProgram() {
+    return serializeProgram({
+      topology: model.topology,
+      carriers: baseCarriers(),
+      connected: model.connected,
+      moves: sequencer.steps,
+      edgeEvents,
+      yarns,
+      rods: rodSpecs(),
+      viewpoints,
+      groups,
+      mechanics,
+      motors,
+    });
+  }
+
+  // Programs from the rotations and edge toggles made by hand since the last
+  // program load: the field as it was before the first of them, and the
+  // edits replayed one after another as the schedule
+  function historyToProgram() {
+    const entries = history.entries;
+    const edgeKeys = new Set(model.edges.map((e) => e.key));
+    const edits = entries
+      .slice(entries.findLastIndex((e) => e.type === "load") + 1)
+      .map((e) => (e.type === "rotate" ? { ...e, turns: e.turns.filter((t) => model.has(t.key)) } : e))
+      .filter((e) => (e.type === "rotate" && e.turns.length > 0) || (e.type === "edge" && edgeKeys.has(e.edge)));
+    const handTurned = new Map();
+    const startConnected = new Set(model.connected);
+    edits.forEach((e) => {
+      if (e.type !== "rotate") return;
+      e.turns.forEach(({ key, delta }) => handTurned.set(key, (handTurned.get(key) ?? 0) + delta));
+    });
+    [...edits].reverse().forEach((e) => {
+      if (e.type !== "edge") return;
+      if (e.connected) startConnected.delete(e.edge);
+      else startConnected.add(e.edge);
+    });
+    return serializeProgram({
+      topology: model.topology,
+      carriers: model.carriersAt((key) => sequencer.appliedOffset(key) + (handTurned.get(key) ?? 0)),
+      connected: [...startConnected],
+      ...historyToSchedule(edits, { stepAngle: model.stepAngle }),
+      yarns,
+      rods: rodSpecs(),
+      viewpoints,
+      groups,
+      mechanics,
+      motors,
+    });
+  }
+
+  // turns: [{ key, delta }]
+  function turn(turns, sign = 1) {
+    const turned = turns.filter((t) => model.has(t.key));
+    if (turned.length === 0) return;
+    turned.forEach(({ key, delta }) => model.rotate(model.get(key), sign * delta));
+    emit("turn", turned.map((t) => model.get(t.key)));
+    rerun();
+  }
+
+  // What turning `keys` by `delta` turns: just those carriers, or with
+  // mechanics on, their whole drive train. Null (after a "blocked" event)
+  // when the couplings do not allow it
+  function driven(keys, delta) {
+    if (!mechanics) return keys.map((key) => ({ key, delta }));
+    const sign = Math.sign(delta);
+    const result = driveTrain({ neighbors: model.neighbors, config: mechanics, drives: keys.map((key) => ({ key, sign })) });
+    if (result.blocked) {
+      emit("blocked", result.blocked);
+      return null;
+    }
+    return [...result.turns].map(([key, s]) => ({ key, delta: s * Math.abs(delta) }));
+  }
+
+  // Rotations (Map key -> radians) from outside the schedule, e.g. measured on
+  // a live machine (twin.js): not recorded, and the checks do not re-run
+  function showPose(rotations) {
+    const posed = [...rotations.keys()].filter(model.has).map(model.get);
+    if (posed.length === 0) return;
+    posed.forEach((c) => {
+      c.rotation = rotations.get(c.key);
+    });
+    emit("turn", posed);
+  }
+
+  function setTwin(state) {
+    twin = state;
+    emit("twin", twin);
+  }
+
+  // Rotate one carrier or a list of them together: one "turn", one re-run
+  // and one undo step for the lot. Returns false when mechanics blocked it
+  function rotate(carriers, delta) {
+    const keys = [carriers ?? []].flat().map((c) => c.key);
+    if (keys.length === 0) return false;
+    const turns = driven(keys, delta);
+    if (!turns) return false;
+    turn(turns);
+    const geared = turns.length - keys.length;
+    history.record({
+      type: "rotate",
+      label:
+        (keys.length === 1 ? `rotate ${keys[0]}` : `rotate ${keys.length} carriers`) +
+        (geared > 0 ? ` (+${geared} geared)` : ""),
+      turns,
+      undo: () => turn(turns, -1),
+      redo: () => turn(turns),
+    });
+    return true;
+  }
+
+  // Turn a carrier to an absolute orientation, as one recorded rotation
+  function setOrientation(carrier, rotation) {
+    const delta = rotation - carrier.rotation;
+    if (Math.abs(delta) > 1e-9) rotate(carrier, delta);
+  }
+
+  // Not recorded: hovering is only a readout
+  function hover(carrier) {
+    if (carrier === hovered) return;
+    hovered = carrier;
+    emit("hover", hovered);
+  }
+
+  // { keys, primary } -> selection state; keys that no longer exist are skipped
+  function setSelection({ keys, primary }) {
+    selection = new Set(keys.filter(model.has));
+    selected = model.get(primary) ?? model.get([...selection][0]) ?? null;
+    if (selected) selection.add(selected.key);
+    emit("select", selected);
+  }
+
+  function changeSelection(keys, primary, label) {
+    const from = { keys: [...selection], primary: selected?.key };
+    const to = { keys, primary };
+    if (from.primary === primary && keys.length === selection.size && keys.every((k) => selection.has(k))) return;
+    setSelection(to);
+    history.record({ type: "select", label, undo: () => setSelection(from), redo: () => setSelection(to) });
+  }
+
+  // Select one carrier (null clears); with `add`, toggle it in the selection instead
+  function select(carrier, { add = false } = {}) {
+    const key = carrier?.key;
+    if (!add) {
+      changeSelection(key ? [key] : [], key, key ? `select ${key}` : "clear selection");
+      return;
+    }
+    if (!key) return;
+    const removing = selection.has(key);
+    const keys = removing ? [...selection].filter((k) => k !== key) : [...selection, key];
+    changeSelection(keys, removing ? keys[keys.length - 1] : key, `${removing ? "deselect" : "add"} ${key}`);
+  }
+
+  // Select a list of carriers (box, row, ring, group), or add them with `add`
+  function selectMany(carriers, { add = false } = {}) {
+    const keys = carriers.map((c) => c.key);
+    const all = add ? [...new Set([...selection, ...keys])] : keys;
+    const primary = all.includes(selected?.key) ? selected.key : keys[0];
+    changeSelection(all, primary, `select ${all.length} carrier${all.length === 1 ? "" : "s"}`);
+  }
+
+  function applyGroups(next) {
+    groups = next;
+    emit("groups");
+  }
+
+  function recordGroups(label, next) {
+    const before = groups;
+    applyGroups(next);
+    history.record({ type: "groups", label, undo: () => applyGroups(before), redo: () => applyGroups(next) });
+  }
+
+  // Save the current selection as a named group (replacing one of that name);
+  // throws on a blank or reserved name or an empty selection. Returns the trimmed name.
+  function saveGroup(name) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) throw new Error("Name the group first");
+    if (groupNameError(trimmed)) throw new Error(`Group not saved: ${groupNameError(trimmed)}`);
+    if (selection.size === 0) throw new Error(`Group "${trimmed}" not saved: select its carriers first`);
+    recordGroups(`save group ${trimmed}`, { ...groups, [trimmed]: [...selection] });
+    return trimmed;
+  }
+
+  // Throws when there is no group of that name
+  function removeGroup(name) {
+    if (!name || !groupMembers(groups, name)) throw new Error(name ? `No group named "${name}"` : "No group to delete");
+    const { [name]: _removed, ...rest } = groups;
+    recordGroups(`delete group ${name}`, rest);
+  }
+
+  function setEdge(key, on) {
+    if (model.isConnected(key) !== on) model.toggleEdge(key);
+    updateLiveEdges(sequencer.time);
+    rerun();
+  }
+
+  // Toggle the textile on an edge ("a|b") at the start of the schedule;
+  // returns whether it is now connected there
+  function toggleEdge(key) {
+    if (!model.edges.some((e) => e.key === key)) return false;
+    const on = !model.isConnected(key);
+    setEdge(key, on);
+    history.record({
+      type: "edge",
+      label: `${on ? "connect" : "disconnect"} ${key}`,
+      edge: key,
+      connected: on,
+      undo: () => setEdge(key, !on),
+      redo: () => setEdge(key, on),
+    });
+    return on;
+  }
+
+  // Swap the schedule, keeping the field and the playhead where they are
+  function applySchedule(moves, nextEdgeEvents) {
+    const time = sequencer.time;
+    const touched = new Set([...sequencer.steps, ...moves].map((m) => m.key).filter(model.has));
+    const edgeKeys = new Set(model.edges.map((e) => e.key));
+    edgeEvents = nextEdgeEvents.filter((e) => edgeKeys.has(e.edge));
+    sequencer.load(moves.filter((m) => model.has(m.key)), edgeEvents);
+    sequencer.seek(time);
+    // load() takes the old offsets back off without a "turn"
+    emit("turn", [...touched].map(model.get));
+    emit("schedule");
+    rerun();
+  }
+
+  // Replace the moves and edge events (timeline.js) as one recorded edit;
+  // throws like sequencer.load on a malformed move, leaving the schedule as it was
+  function setSchedule(moves, nextEdgeEvents = edgeEvents, label = "edit schedule") {
+    const before = { moves: sequencer.steps, edgeEvents };
+    try {
+      applySchedule(moves, nextEdgeEvents);
+    } catch (e) {
+      applySchedule(before.moves, before.edgeEvents);
+      throw e;
+    }
+    history.record({
+      type: "schedule",
+      label,
+      undo: () => applySchedule(before.moves, before.edgeEvents),
+      redo: () => applySchedule(moves, nextEdgeEvents),
+    });
+  }
+
+  // Save the camera { position, target } under `name` (kept with the program)
+  function saveViewpoint(name, viewpoint) {
+    viewpoints = { ...viewpoints, [name]: { position: [...viewpoint.position], target: [...viewpoint.target] } };
+    emit("viewpoints");
+  }
+
+  function removeViewpoint(name) {
+    if (!(name in viewpoints)) return;
+    const { [name]: _removed, ...rest } = viewpoints;
+    viewpoints = rest;
+    emit("viewpoints");
+  }
+
+  function applyMechanics(config) {
+    mechanics = config;
+    emit("mechanics");
+    rerun();
+  }
+
+  // Switch mechanics mode on (a config, see mechanics.js) or off (null)
+  function setMechanics(config, label = config ? "mechanics on" : "mechanics off") {
+    const before = mechanics;
+    applyMechanics(config);
+    history.record({ type: "mechanics", label, undo: () => applyMechanics(before), redo: () => applyMechanics(config) });
+  }
+
+  // Couple the given edges ("a|b") with `coupling`; needs mechanics on
+  function setCoupling(edges, coupling) {
+    if (!mechanics) return;
+    const known = new Set(model.edges.map((e) => e.key));
+    const keys = edges.filter((key) => known.has(key));
+    if (keys.length === 0) return;
+    const couplings = { ...mechanics.couplings };
+    keys.forEach((key) => {
+      if (coupling === mechanics.default) delete couplings[key];
+      else couplings[key] = coupling;
+    });
+    setMechanics({ ...mechanics, couplings }, keys.length === 1 ? `${coupling} ${keys[0]}` : `${coupling} ${keys.length} edges`);
+  }
+
+  // Set the motor map (null: motors in layout order); not recorded, like viewpoints
+  function setMotors(map) {
+    motors = map && { ...map };
+    emit("motors");
+  }
+
+  function addRod(spec) {
+    const rod = addRodSilently(spec);
+    emit("rods");
+    rerun();
+    return rod;
+  }
+
+  // Anchor a rod to another side (in its carrier's own frame)
+  function setRodSide(rod, side) {
+    rod.side = side;
+    emit("rods");
+    rerun();
+  }
+
+  function removeRod(rod) {
+    model.removeRod(rod);
+    emit("rods");
+    rerun();
+  }
+
+  return {
+    model,
+    sequencer,
+    on,
+    rebuildField,
+    loadProgram,
+    editLayout,
+    toProgram,
+    historyToProgram,
+    history,
+    undo: history.undo,
+    redo: history.redo,
+    rotate,
+    setOrientation,
+    select,
+    selectMany,
+    hover,
+    toggleEdge,
+    setSchedule,
+    showPose,
+    setTwin,
+    // Whether an edge is connected at the sequencer's current time
+    isConnected: (key) => liveConnected.has(key),
+    addRod,
+    removeRod,
+    setRodSide,
+    saveViewpoint,
+    removeViewpoint,
+    saveGroup,
+    removeGroup,
+    setMechanics,
+    setCoupling,
+    setMotors,
+    // Motor for every carrier: the saved map, or layout order without one
+    motorMap: () => motors ?? defaultMotorMap(model.carriers.map((c) => c.key)),
+    baseCarriers,
+    get yarns() {
+      return yarns;
+    },
+    get selected() {
+      return selected;
+    },
+    // Every selected carrier, primary included
+    get selection() {
+      return [...selection].map((key) => model.get(key));
+    },
+    get groups() {
+      return groups;
+    },
+    get hovered() {
+      return hovered;
+    },
+    get yarnRun() {
+      return yarnRun;
+    },
+    get problems() {
+      return problems;
+    },
+    get viewpoints() {
+      return viewpoints;
+    },
+    get mechanics() {
+      return mechanics;
+    },
+    get motors() {
+      return motors;
+    },
+    get twin() {
+      return twin;
+    },
+    // Edge events as loaded into the sequencer
+    get edgeEvents() {
+      return edgeEvents;
+    },
+  };
+}
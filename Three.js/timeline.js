@@ -0,0 +1,435 @@
+/**
+ * Timeline editor under the views: the schedule (sequencer.js) as a Gantt
+ * chart with one track per carrier, one track for edge events and a playhead.
+ * - a move is a block from its start, as long as its duration and coloured
+ *   by direction; drag it to shift it in time, drag its right end to change
+ *   the duration, click it to edit direction, steps and times in the header
+ * - edge events are markers on the "edges" track, coloured connect /
+ *   disconnect, and drag the same way
+ * - click or drag on the ruler or an empty stretch of track to move the
+ *   playhead; seeking turns the carriers and updates rods and edges in both views
+ * Every edit is one session.setSchedule, so it can be undone and is saved
+ * with the program like a loaded schedule.
+ */
+
+import { keyFor } from "./carrierModel.js";
+
+const LABEL_WIDTH = 64; // px, track names
+const ROW_HEIGHT = 18; // px
+const SNAP = 0.05; // s, dragged times snap to this
+const MIN_DURATION = SNAP;
+const DEFAULT_DURATION = 0.8; // s, new moves
+const HANDLE = 6; // px at a block's right end that resize it
+const COLORS = { cw: "#2980b9", ccw: "#e67e22", connect: "#27ae60", disconnect: "#c0392b" };
+
+const snap = (t) => Math.max(0, Math.round(Math.round(t / SNAP) * SNAP * 1e6) / 1e6);
+
+// Moves and edge events as stored in a program, without the sequencer's extras
+const plainMove = ({ key, dir, steps, start, duration, group }) => ({
+  key,
+  dir,
+  steps,
+  start,
+  duration,
+  ...(group !== undefined && { group }),
+});
+const plainEvent = ({ edge, connected, time }) => ({ edge, connected, time });
+
+const sameMove = (a, b) => a.key === b.key && a.dir === b.dir && a.steps === b.steps && a.start === b.start && a.duration === b.duration;
+const sameEvent = (a, b) => a.edge === b.edge && a.connected === b.connected && a.time === b.time;
+
+export function createTimeline({ session, toolbar, parent = document.body, onResize = () => {} }) {
+  const { model, sequencer } = session;
+  let scale = 80; // px per second
+  let picked = null; // { type: "move" | "event", index } into sequencer.steps / session.edgeEvents
+  let drag = null;
+  let stale = true;
+
+  const element = document.createElement("div");
+  element.style.cssText =
+    "flex:none;height:30vh;margin:0 12px 52px;display:none;flex-direction:column;gap:4px;" +
+    "font:12px system-ui,sans-serif;background:rgba(255,255,255,0.85);padding:6px 8px;border-radius:6px;";
+  parent.appendChild(element);
+
+  // ---------- Header: zoom, add, and the picked block's fields ----------
+  const header = document.createElement("div");
+  header.style.cssText = "display:flex;gap:6px;align-items:center;flex-wrap:wrap;";
+  element.appendChild(header);
+
+  const button = (label, title, onClick, into = header) => {
+    const b = document.createElement("button");
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener("click", onClick);
+    into.appendChild(b);
+    return b;
+  };
+
+  const numberInput = (step, min) => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = String(step);
+    input.min = String(min);
+    input.style.width = "56px";
+    return input;
+  };
+
+  const labelled = (text, input, into) => {
+    const label = document.createElement("label");
+    label.append(text, input);
+    into.appendChild(label);
+  };
+
+  button("−", "Zoom out", () => zoom(1 / 1.5));
+  button("+", "Zoom in", () => zoom(1.5));
+  button("Add move", "Add a one-step clockwise move for each selected carrier at the playhead", addMoves);
+
+  const edgeSelect = document.createElement("select");
+  edgeSelect.title = "Edge for a new edge event";
+  header.appendChild(edgeSelect);
+  button("Toggle edge", "Add an event at the playhead switching this edge to the other state", addEdgeEvent);
+
+  // Fields of the picked move
+  const moveFields = document.createElement("span");
+  moveFields.style.cssText = "display:none;gap:6px;align-items:center;";
+  const dirSelect = document.createElement("select");
+  dirSelect.add(new Option("cw", "cw"));
+  dirSelect.add(new Option("ccw", "ccw"));
+  const stepsInput = numberInput(1, 0);
+  const startInput = numberInput(SNAP, 0);
+  const durationInput = numberInput(SNAP, 0);
+  moveFields.append(dirSelect);
+  labelled("steps ", stepsInput, moveFields);
+  labelled("start ", startInput, moveFields);
+  labelled("duration ", durationInput, moveFields);
+  header.appendChild(moveFields);
+
+  // Fields of the picked edge event
+  const eventFields = document.createElement("span");
+  eventFields.style.cssText = "display:none;gap:6px;align-items:center;";
+  const stateSelect = document.createElement("select");
+  stateSelect.add(new Option("connect", "true"));
+  stateSelect.add(new Option("disconnect", "false"));
+  const timeInput = numberInput(SNAP, 0);
+  eventFields.append(stateSelect);
+  labelled("time ", timeInput, eventFields);
+  header.appendChild(eventFields);
+
+  const deleteButton = button("Delete", "Delete the picked move or edge event (Delete)", deletePicked);
+
+  // ---------- Tracks ----------
+  const scroller = document.createElement("div");
+  scroller.style.cssText = "flex:1;min-height:0;overflow:auto;position:relative;";
+  element.appendChild(scroller);
+  const content = document.createElement("div");
+  content.style.cssText = "position:relative;";
+  scroller.appendChild(content);
+  const playhead = document.createElement("div");
+  playhead.style.cssText = "position:absolute;top:0;bottom:0;width:1px;background:#c0392b;pointer-events:none;z-index:2;";
+
+  const xAt = (t) => LABEL_WIDTH + t * scale;
+  const timeAt = (clientX) => (clientX - content.getBoundingClientRect().left - LABEL_WIDTH) / scale;
+
+  const moves = () => sequencer.steps.map(plainMove);
+  const events = () => session.edgeEvents.map(plainEvent);
+
+  // One recorded edit, keeping the edited item picked where it ends up
+  function commit(nextMoves, nextEvents, label, edited = null) {
+    try {
+      session.setSchedule(nextMoves, nextEvents, label);
+    } catch (e) {
+      toolbar.showMessage(e.message, { error: true });
+      return;
+    }
+    if (!edited) picked = null;
+    else if (edited.type === "move") picked = { type: "move", index: sequencer.steps.findIndex((s) => sameMove(s, edited.item)) };
+    else picked = { type: "event", index: session.edgeEvents.findIndex((e) => sameEvent(e, edited.item)) };
+    if (picked && picked.index < 0) picked = null;
+    stale = true;
+  }
+
+  function replaceMove(index, changes, label) {
+    const next = moves();
+    next[index] = { ...next[index], ...changes };
+    commit(next, events(), label, { type: "move", item: next[index] });
+  }
+
+  function replaceEvent(index, changes, label) {
+    const next = events();
+    next[index] = { ...next[index], ...changes };
+    commit(moves(), next, label, { type: "event", item: next[index] });
+  }
+
+  function addMoves() {
+    const carriers = session.selection;
+    if (carriers.length === 0) {
+      toolbar.showMessage("Select the carriers to add moves for");
+      return;
+    }
+    const start = snap(sequencer.time);
+    const added = carriers.map((c) => ({ key: c.key, dir: "cw", steps: 1, start, duration: DEFAULT_DURATION }));
+    commit([...moves(), ...added], events(), added.length === 1 ? `add move ${added[0].key}` : `add ${added.length} moves`, {
+      type: "move",
+      item: added[added.length - 1],
+    });
+  }
+
+  function addEdgeEvent() {
+    const edge = edgeSelect.value;
+    if (!edge) return;
+    const event = { edge, connected: !session.isConnected(edge), time: snap(sequencer.time) };
+    commit(moves(), [...events(), event], `${event.connected ? "connect" : "disconnect"} ${edge} at ${event.time}s`, {
+      type: "event",
+      item: event,
+    });
+  }
+
+  function deletePicked() {
+    if (!picked) return;
+    if (picked.type === "move") {
+      const next = moves();
+      const [removed] = next.splice(picked.index, 1);
+      commit(next, events(), `delete move ${removed.key}`);
+    } else {
+      const next = events();
+      const [removed] = next.splice(picked.index, 1);
+      commit(moves(), next, `delete edge event ${removed.edge}`);
+    }
+  }
+
+  dirSelect.addEventListener("change", () => replaceMove(picked.index, { dir: dirSelect.value }, "change direction"));
+  stepsInput.addEventListener("change", () =>
+    replaceMove(picked.index, { steps: Math.max(0, Math.round(Number(stepsInput.value) || 0)) }, "change steps")
+  );
+  startInput.addEventListener("change", () => replaceMove(picked.index, { start: snap(Number(startInput.value) || 0) }, "move in time"));
+  durationInput.addEventListener("change", () =>
+    replaceMove(picked.index, { duration: Math.max(MIN_DURATION, snap(Number(durationInput.value) || 0)) }, "change duration")
+  );
+  stateSelect.addEventListener("change", () => replaceEvent(picked.index, { connected: stateSelect.value === "true" }, "change edge event"));
+  timeInput.addEventListener("change", () => replaceEvent(picked.index, { time: snap(Number(timeInput.value) || 0) }, "move edge event"));
+
+  function zoom(factor) {
+    scale = Math.min(800, Math.max(10, scale * factor));
+    stale = true;
+  }
+
+  function showPicked() {
+    const move = picked?.type === "move" ? sequencer.steps[picked.index] : null;
+    const event = picked?.type === "event" ? session.edgeEvents[picked.index] : null;
+    moveFields.style.display = move ? "flex" : "none";
+    eventFields.style.display = event ? "flex" : "none";
+    deleteButton.disabled = !picked;
+    if (move) {
+      dirSelect.value = move.dir;
+      stepsInput.value = String(move.steps);
+      startInput.value = String(move.start);
+      durationInput.value = String(move.duration);
+    }
+    if (event) {
+      stateSelect.value = String(event.connected);
+      timeInput.value = String(event.time);
+    }
+  }
+
+  // ---------- Drawing ----------
+  const row = (name, onLabelClick) => {
+    const line = document.createElement("div");
+    line.style.cssText = `position:relative;height:${ROW_HEIGHT}px;border-bottom:1px solid #eee;`;
+    const label = document.createElement("div");
+    label.textContent = name;
+    label.style.cssText =
+      `position:sticky;left:0;z-index:1;width:${LABEL_WIDTH - 4}px;height:100%;line-height:${ROW_HEIGHT}px;` +
+      "background:#f6f6f6;overflow:hidden;white-space:nowrap;cursor:default;";
+    if (onLabelClick) {
+      label.style.cursor = "pointer";
+      label.addEventListener("click", onLabelClick);
+    }
+    line.appendChild(label);
+    line.addEventListener("pointerdown", (e) => {
+      if (e.target !== line) return; // blocks and labels handle their own
+      picked = null;
+      stale = true;
+      startScrub(e, line);
+    });
+    content.appendChild(line);
+    return { line, label };
+  };
+
+  const block = (line, { left, width, color, text, title, isPicked }) => {
+    const b = document.createElement("div");
+    b.textContent = text;
+    b.title = title;
+    b.style.cssText =
+      `position:absolute;top:2px;height:${ROW_HEIGHT - 5}px;left:${left}px;width:${width}px;background:${color};` +
+      `color:#fff;font-size:10px;line-height:${ROW_HEIGHT - 5}px;text-align:center;overflow:hidden;border-radius:3px;` +
+      `box-sizing:border-box;cursor:grab;touch-action:none;${isPicked ? "outline:2px solid #222;" : ""}`;
+    line.appendChild(b);
+    return b;
+  };
+
+  function render() {
+    stale = false;
+    const total = Math.max(sequencer.duration(), sequencer.time) + 2;
+    content.replaceChildren();
+    content.style.width = `${xAt(total)}px`;
+
+    // Ruler: whole seconds, or every few when zoomed out
+    const ruler = row("time (s)");
+    ruler.line.style.position = "sticky";
+    ruler.line.style.top = "0";
+    ruler.line.style.zIndex = "2";
+    ruler.line.style.background = "#fff";
+    const every = scale >= 40 ? 1 : scale >= 15 ? 5 : 10;
+    for (let t = 0; t <= total; t += every) {
+      const tick = document.createElement("span");
+      tick.textContent = String(t);
+      tick.style.cssText = `position:absolute;left:${xAt(t)}px;top:0;border-left:1px solid #999;padding-left:2px;pointer-events:none;`;
+      ruler.line.appendChild(tick);
+    }
+
+    // Edge events
+    const edgeRow = row("edges");
+    session.edgeEvents.forEach((event, index) => {
+      const el = block(edgeRow.line, {
+        left: xAt(event.time) - 4,
+        width: 8,
+        color: COLORS[event.connected ? "connect" : "disconnect"],
+        text: "",
+        title: `${event.connected ? "connect" : "disconnect"} ${event.edge} at ${event.time}s`,
+        isPicked: picked?.type === "event" && picked.index === index,
+      });
+      el.addEventListener("pointerdown", (e) => startDrag(e, el, { type: "event", index, mode: "move", time: event.time }));
+    });
+
+    // One track per carrier, in layout order
+    const selectedKeys = new Set(session.selection.map((c) => c.key));
+    const tracks = new Map();
+    model.carriers.forEach((c) => {
+      const track = row(keyFor(c.q, c.r), (e) => session.select(c, { add: e.shiftKey }));
+      if (selectedKeys.has(c.key)) track.label.style.background = "#ffe2b8";
+      tracks.set(c.key, track.line);
+    });
+    sequencer.steps.forEach((step, index) => {
+      const line = tracks.get(step.key);
+      if (!line) return;
+      const el = block(line, {
+        left: xAt(step.start),
+        width: Math.max(step.duration * scale, HANDLE + 2),
+        color: COLORS[step.dir],
+        text: String(step.steps),
+        title:
+          `${step.key} ${step.dir} ${step.steps} step${step.steps === 1 ? "" : "s"} at ${step.start}s for ${step.duration}s` +
+          (step.group !== undefined ? ` (group ${step.group})` : ""),
+        isPicked: picked?.type === "move" && picked.index === index,
+      });
+      el.addEventListener("pointerdown", (e) => {
+        const mode = e.clientX > el.getBoundingClientRect().right - HANDLE ? "resize" : "move";
+        startDrag(e, el, { type: "move", index, mode, time: step.start, duration: step.duration });
+      });
+    });
+
+    content.appendChild(playhead);
+    showPicked();
+  }
+
+  function fillEdges() {
+    edgeSelect.replaceChildren(...model.edges.map((e) => new Option(e.key, e.key)));
+  }
+
+  // ---------- Pointer: dragging blocks, scrubbing the playhead ----------
+  function startDrag(e, el, target) {
+    e.preventDefault();
+    e.stopPropagation();
+    el.setPointerCapture(e.pointerId);
+    drag = { el, target, x: e.clientX, moved: false, left: parseFloat(el.style.left), width: parseFloat(el.style.width) };
+  }
+
+  function startScrub(e, line) {
+    line.setPointerCapture(e.pointerId);
+    drag = { scrub: true, el: line };
+    sequencer.pause();
+    sequencer.seek(Math.max(0, timeAt(e.clientX)));
+  }
+
+  // Dragged times, snapped
+  function dragged(clientX) {
+    const { target } = drag;
+    const dt = (clientX - drag.x) / scale;
+    if (target.mode === "resize") return { duration: Math.max(MIN_DURATION, snap(target.duration + dt)) };
+    return { time: snap(target.time + dt) };
+  }
+
+  content.addEventListener("pointermove", (e) => {
+    if (!drag) return;
+    if (drag.scrub) {
+      sequencer.seek(Math.max(0, timeAt(e.clientX)));
+      return;
+    }
+    if (Math.abs(e.clientX - drag.x) > 2) drag.moved = true;
+    if (!drag.moved) return;
+    const next = dragged(e.clientX);
+    if (next.duration !== undefined) drag.el.style.width = `${Math.max(next.duration * scale, HANDLE + 2)}px`;
+    else drag.el.style.left = `${drag.left + (next.time - drag.target.time) * scale}px`;
+  });
+
+  const endDrag = (e) => {
+    if (!drag) return;
+    const { target, moved, scrub } = drag;
+    const next = scrub || !moved ? null : dragged(e.clientX);
+    drag = null;
+    if (scrub) return;
+    if (!next) {
+      picked = { type: target.type, index: target.index };
+      stale = true;
+    } else if (target.type === "event") replaceEvent(target.index, { time: next.time }, "move edge event");
+    else if (next.duration !== undefined) replaceMove(target.index, { duration: next.duration }, "change duration");
+    else replaceMove(target.index, { start: next.time }, "move in time");
+  };
+  content.addEventListener("pointerup", endDrag);
+  content.addEventListener("pointercancel", () => {
+    drag = null;
+    stale = true; // drop the preview
+  });
+
+  window.addEventListener("keydown", (e) => {
+    if (e.key !== "Delete" || !picked || element.style.display === "none") return;
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+    deletePicked();
+  });
+
+  ["field", "schedule", "select"].forEach((event) =>
+    session.on(event, () => {
+      stale = true;
+    })
+  );
+  // Picked indexes do not survive a new field or an undone / redone edit
+  session.on("field", () => {
+    picked = null;
+    fillEdges();
+  });
+  session.on("history", () => {
+    if (picked?.type === "move" && !sequencer.steps[picked.index]) picked = null;
+    if (picked?.type === "event" && !session.edgeEvents[picked.index]) picked = null;
+  });
+  fillEdges();
+
+  toolbar.addButton("Timeline", "Show the schedule as an editable timeline under the views", () => {
+    element.style.display = element.style.display === "flex" ? "none" : "flex";
+    stale = true;
+    onResize();
+  });
+
+  // Call once per frame, like the transport bar
+  function sync() {
+    if (element.style.display === "none") return;
+    if (stale && !drag) render();
+    const x = xAt(sequencer.time);
+    playhead.style.left = `${x}px`;
+    // Keep the playhead in sight while playing
+    if (sequencer.playing && (x < scroller.scrollLeft + LABEL_WIDTH || x > scroller.scrollLeft + scroller.clientWidth)) {
+      scroller.scrollLeft = x - LABEL_WIDTH;
+    }
+  }
+
+  return { element, sync };
+}
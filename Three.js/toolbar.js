@@ -0,0 +1,66 @@
+/**
+ * Top-left button strip shared by the views' DOM controls: a row of buttons,
+ * optional panels under it, then the status line and checker output.
+ */
+
+export function createToolbar(parent = document.body) {
+  const element = document.createElement("div");
+  element.style.cssText =
+    "position:fixed;left:12px;top:12px;display:flex;flex-wrap:wrap;gap:6px;align-items:center;max-width:60vw;" +
+    "font:12px system-ui,sans-serif;background:rgba(255,255,255,0.85);padding:6px 8px;border-radius:6px;";
+  parent.appendChild(element);
+
+  const buttonRow = document.createElement("div");
+  buttonRow.style.cssText = "display:flex;flex-wrap:wrap;gap:6px;";
+  element.appendChild(buttonRow);
+
+  function addButton(label, title, onClick) {
+    const b = document.createElement("button");
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener("click", onClick);
+    buttonRow.appendChild(b);
+    return b;
+  }
+
+  const panels = document.createElement("div");
+  panels.style.cssText = "flex-basis:100%;display:flex;flex-direction:column;gap:6px;";
+  element.appendChild(panels);
+
+  // Hidden container for a feature's own controls, shown with `panel.style.display = "flex"`
+  function addPanel() {
+    const panel = document.createElement("div");
+    panel.style.cssText = "display:none;gap:6px;align-items:center;flex-wrap:wrap;";
+    panels.appendChild(panel);
+    return panel;
+  }
+
+  // Status line under the buttons; errors stay until the next message
+  const status = document.createElement("div");
+  status.style.cssText = "flex-basis:100%;white-space:pre-wrap;display:none;";
+  element.appendChild(status);
+
+  function showMessage(text, { error = false } = {}) {
+    status.textContent = text;
+    status.style.color = error ? "#b00020" : "#2b2b2b";
+    status.style.display = text ? "block" : "none";
+  }
+
+  // Checker output (collisions.js); stays until the next check
+  const problemList = document.createElement("ul");
+  problemList.style.cssText = "flex-basis:100%;margin:0;padding-left:16px;color:#b00020;max-height:30vh;overflow:auto;display:none;";
+  element.appendChild(problemList);
+
+  function showProblems(problems) {
+    problemList.replaceChildren(
+      ...problems.map((p) => {
+        const li = document.createElement("li");
+        li.textContent = p.message;
+        return li;
+      })
+    );
+    problemList.style.display = problems.length ? "block" : "none";
+  }
+
+  return { element, addButton, addPanel, showMessage, showProblems };
+}
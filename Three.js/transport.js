@@ -0,0 +1,68 @@
+/**
+ * Small play / pause / step / scrub bar for a sequencer.
+ * Builds its own DOM so index.html stays a bare canvas page.
+ */
+
+export function createTransportBar(sequencer, parent = document.body) {
+  const bar = document.createElement("div");
+  bar.style.cssText =
+    "position:fixed;left:12px;right:12px;bottom:12px;display:flex;gap:6px;align-items:center;" +
+    "font:12px system-ui,sans-serif;background:rgba(255,255,255,0.85);padding:6px 8px;border-radius:6px;";
+
+  const button = (label, title, onClick) => {
+    const b = document.createElement("button");
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener("click", onClick);
+    bar.appendChild(b);
+    return b;
+  };
+
+  button("⏮", "Step back (,)", () => sequencer.stepBack());
+  const playBtn = button("▶", "Play / pause (space)", () => sequencer.toggle());
+  button("⏭", "Step forward (.)", () => sequencer.stepForward());
+
+  const scrub = document.createElement("input");
+  scrub.type = "range";
+  scrub.min = "0";
+  scrub.step = "0.01";
+  scrub.style.flex = "1";
+  let scrubbing = false;
+  scrub.addEventListener("pointerdown", () => (scrubbing = true));
+  window.addEventListener("pointerup", () => (scrubbing = false));
+  scrub.addEventListener("input", () => {
+    sequencer.pause();
+    sequencer.seek(Number(scrub.value));
+  });
+  bar.appendChild(scrub);
+
+  const label = document.createElement("span");
+  label.style.minWidth = "96px";
+  bar.appendChild(label);
+
+  parent.appendChild(bar);
+
+  // Keyboard shortcuts (arrow keys stay reserved for manual rotation)
+  window.addEventListener("keydown", (e) => {
+    if (e.target instanceof HTMLInputElement && e.target.type !== "range") return;
+    if (e.key === " ") {
+      e.preventDefault();
+      sequencer.toggle();
+    }
+    if (e.key === ".") sequencer.stepForward();
+    if (e.key === ",") sequencer.stepBack();
+    if (e.key === "Home") sequencer.seek(0);
+  });
+
+  // Call once per frame to reflect sequencer state
+  function sync() {
+    const total = sequencer.duration();
+    scrub.max = String(total);
+    if (!scrubbing) scrub.value = String(sequencer.time);
+    playBtn.textContent = sequencer.playing ? "⏸" : "▶";
+    label.textContent = `${sequencer.time.toFixed(2)} / ${total.toFixed(2)} s`;
+  }
+  sync();
+
+  return { element: bar, sync };
+}
@@ -0,0 +1,271 @@
+/**
+ * Digital twin: mirror a live braiding machine in the session (headless: no
+ * THREE / DOM, so the mock server in twinServer.js can share it).
+ *
+ * The machine sends feed messages, each one event or an array of events:
+ *   { "type": "angle",   "time": 1.2, "carrier": "0,0", "angle": -60 }   // degrees, CCW positive
+ *   { "type": "tension", "time": 1.2, "yarn": "y1", "tension": 1.4 }     // newtons; yarn or rod id
+ * `time` is seconds since the program started on the machine.
+ *
+ * While a twin runs, the sequencer follows the machine's clock (so the
+ * schedule gives the programmed state), measured angles replace the
+ * carriers' rotations (session.showPose) and the session's `twin` state lists
+ * the carriers more than `tolerance` degrees off their programmed angle.
+ * Every event received is kept in `log`; a log saved as JSON lines
+ * (formatTwinLog) is what the mock server and the twin panel replay.
+ */
+
+import { createSession } from "./session.js";
+import { yarnsAt } from "./yarnSim.js";
+
+export const DEFAULT_TOLERANCE = 3; // degrees
+export const NOMINAL_TENSION = 1; // N, yarn at rest
+export const HIGH_TENSION = 2; // N, drawn as fully strained
+
+const EVENT_TYPES = ["angle", "tension"];
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+const round = (t) => Math.round(t * 1e3) / 1e3;
+
+// Angle difference wrapped into (-180, 180]
+const wrapDegrees = (deg) => {
+  const d = ((((deg + 180) % 360) + 360) % 360) - 180;
+  return d === -180 ? 180 : d;
+};
+
+// 0 at nominal tension, 1 at HIGH_TENSION and above
+export function tensionLevel(tension) {
+  return Math.min(1, Math.max(0, (tension - NOMINAL_TENSION) / (HIGH_TENSION - NOMINAL_TENSION)));
+}
+
+function eventErrors(e, where) {
+  if (e === null || typeof e !== "object" || Array.isArray(e)) return [`${where} must be an object`];
+  if (!EVENT_TYPES.includes(e.type)) return [`${where}.type must be one of ${EVENT_TYPES.join(", ")}`];
+  const errors = [];
+  if (!(Number.isFinite(e.time) && e.time >= 0)) errors.push(`${where}.time must be a number >= 0`);
+  if (e.type === "angle") {
+    if (typeof e.carrier !== "string") errors.push(`${where}.carrier must be a "q,r" key`);
+    if (!Number.isFinite(e.angle)) errors.push(`${where}.angle must be a number (degrees)`);
+  } else {
+    if (typeof e.yarn !== "string") errors.push(`${where}.yarn must be a yarn or rod id`);
+    if (!(Number.isFinite(e.tension) && e.tension >= 0)) errors.push(`${where}.tension must be a number >= 0`);
+  }
+  return errors;
+}
+
+const normalize = (e) =>
+  e.type === "angle"
+    ? { type: "angle", time: e.time, carrier: e.carrier, angle: e.angle }
+    : { type: "tension", time: e.time, yarn: e.yarn, tension: e.tension };
+
+function invalid(what, errors) {
+  const err = new Error(`Invalid ${what}:\n- ${errors.join("\n- ")}`);
+  err.errors = errors;
+  return err;
+}
+
+// Events (values or a JSON string) -> [{ type, time, ... }]; errors are prefixed with `where`
+function readEvents(data, where) {
+  let value = data;
+  if (typeof data === "string") {
+    try {
+      value = JSON.parse(data);
+    } catch (e) {
+      return { events: [], errors: [`${where} is not valid JSON: ${e.message}`] };
+    }
+  }
+  const list = Array.isArray(value) ? value : [value];
+  const errors = list.flatMap((e, i) => eventErrors(e, Array.isArray(value) ? `${where}[${i}]` : where));
+  return { events: errors.length ? [] : list.map(normalize), errors };
+}
+
+// One feed message -> events, or throws an Error whose `errors` lists the problems
+export function parseTwinMessage(data) {
+  const { events, errors } = readEvents(data, "message");
+  if (errors.length) throw invalid("twin message", errors);
+  return events;
+}
+
+// A recorded log (JSON lines, one message per line; blank and "#" lines skipped) -> events by time
+export function parseTwinLog(text) {
+  const events = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith("#")) return;
+    const read = readEvents(line, `line ${i + 1}`);
+    events.push(...read.events);
+    errors.push(...read.errors);
+  });
+  if (errors.length) throw invalid("twin log", errors);
+  if (events.length === 0) throw invalid("twin log", ["no events"]);
+  return events.sort((a, b) => a.time - b.time);
+}
+
+export function formatTwinLog(events) {
+  return events.map((e) => JSON.stringify(e)).join("\n") + "\n";
+}
+
+/**
+ * The feed a machine running `program` (validated, see program.js) would
+ * send, sampled `rate` times a second: angles of carriers that moved since the
+ * last sample, and each yarn's tension (NOMINAL_TENSION, half as much again
+ * while its carrier turns) when it changes. For the mock server when no
+ * recorded log is at hand.
+ */
+export function programLog(program, { rate = 10 } = {}) {
+  const session = createSession();
+  session.loadProgram(program);
+  const { model, sequencer } = session;
+  const duration = sequencer.duration();
+  const events = [];
+  const lastAngle = new Map();
+  const lastTension = new Map();
+  const samples = Math.max(1, Math.ceil(duration * rate));
+  for (let i = 0; i <= samples; i++) {
+    const time = round(Math.min(i / rate, duration));
+    sequencer.seek(time);
+    model.carriers.forEach((c) => {
+      const angle = round(toDegrees(c.rotation));
+      if (lastAngle.get(c.key) === angle) return;
+      lastAngle.set(c.key, angle);
+      events.push({ type: "angle", time, carrier: c.key, angle });
+    });
+    yarnsAt(session.yarnRun.paths, time).forEach((pos, id) => {
+      const turning = sequencer.steps.some((s) => s.key === pos.carrier && s.start <= time && time < s.start + s.duration);
+      const tension = turning ? NOMINAL_TENSION * 1.5 : NOMINAL_TENSION;
+      if (lastTension.get(id) === tension) return;
+      lastTension.set(id, tension);
+      events.push({ type: "tension", time, yarn: id, tension });
+    });
+  }
+  return events;
+}
+
+/**
+ * Play events back in real time (divided by `speed`): `send(batch)` gets the
+ * events sharing a time together, `onEnd()` runs after the last one unless
+ * `loop` starts over. Returns { stop }.
+ */
+export function createReplay(events, { speed = 1, loop = false, send, onEnd = () => {} }) {
+  const batches = [];
+  events.forEach((e) => {
+    const last = batches[batches.length - 1];
+    if (last && last.time === e.time) last.events.push(e);
+    else batches.push({ time: e.time, events: [e] });
+  });
+  let index = 0;
+  let startedAt = Date.now();
+  let timer = null;
+
+  function next() {
+    if (index >= batches.length) {
+      if (!loop || batches.length === 0) {
+        timer = null;
+        onEnd();
+        return;
+      }
+      index = 0;
+      startedAt = Date.now();
+    }
+    const batch = batches[index];
+    const wait = Math.max(0, startedAt + (batch.time * 1000) / speed - Date.now());
+    timer = setTimeout(() => {
+      index++;
+      send(batch.events);
+      next();
+    }, wait);
+  }
+  next();
+
+  return {
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+/**
+ * Mirror a machine in `session`: start(), then handle(message) for every feed
+ * message, and stop() to go back to the programmed state. A new field (program
+ * load, layout edit) stops it too.
+ */
+export function createTwin(session, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const { model, sequencer } = session;
+  let base = null; // programmed rotations before the schedule, key -> radians; null when stopped
+  let measured = new Map(); // key -> radians
+  let tensions = new Map(); // yarn / rod id -> N
+  let time = 0;
+  let log = [];
+
+  function deviations() {
+    const out = [];
+    measured.forEach((rotation, key) => {
+      const programmed = base.get(key) + sequencer.offsetAt(key, time);
+      const diff = wrapDegrees(toDegrees(rotation - programmed));
+      if (Math.abs(diff) > tolerance) {
+        out.push({ key, measured: round(toDegrees(rotation)), programmed: round(toDegrees(programmed)), diff: round(diff) });
+      }
+    });
+    return out;
+  }
+
+  const publish = () => session.setTwin({ time, measured, tensions, deviations: deviations(), events: log.length });
+
+  function start() {
+    base = new Map(session.baseCarriers().map((c) => [c.key, c.rotation]));
+    measured = new Map();
+    tensions = new Map();
+    time = 0;
+    log = [];
+    sequencer.pause();
+    sequencer.seek(0);
+    publish();
+  }
+
+  // Apply one feed message; returns its events, throws (see parseTwinMessage) on a bad one
+  function handle(message) {
+    if (!base) return [];
+    const events = parseTwinMessage(message);
+    events.forEach((e) => {
+      log.push(e);
+      time = e.time; // a looping feed may start over
+      if (e.type === "tension") tensions.set(e.yarn, e.tension);
+      else if (model.has(e.carrier)) measured.set(e.carrier, toRadians(e.angle));
+    });
+    sequencer.seek(time);
+    session.showPose(measured); // seeking put the programmed angles back
+    publish();
+    return events;
+  }
+
+  function stop() {
+    if (!base) return;
+    session.showPose(new Map([...measured.keys()].map((key) => [key, base.get(key) + sequencer.appliedOffset(key)])));
+    base = null;
+    session.setTwin(null);
+  }
+
+  session.on("field", () => {
+    if (!base) return;
+    base = null;
+    session.setTwin(null);
+  });
+
+  return {
+    start,
+    handle,
+    stop,
+    setTolerance(deg) {
+      tolerance = deg;
+      if (base) publish();
+    },
+    get running() {
+      return base !== null;
+    },
+    // Every event received since start(), for formatTwinLog
+    get log() {
+      return log;
+    },
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Twin panel: connect to a braiding machine's WebSocket feed and mirror it in
+ * the views (twin.js), save what came in as a log, or replay a saved log
+ * without a machine. For development, twinServer.js plays the machine.
+ */
+
+import { DEFAULT_TOLERANCE, createReplay, createTwin, formatTwinLog, parseTwinLog } from "./twin.js";
+import { downloadText } from "./download.js";
+
+export const DEFAULT_TWIN_URL = "ws://localhost:8787";
+
+export function createTwinPanel({ toolbar, session }) {
+  const panel = toolbar.addPanel();
+  const twin = createTwin(session);
+  let socket = null;
+  let replay = null;
+
+  const button = (label, title, onClick) => {
+    const b = document.createElement("button");
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener("click", onClick);
+    panel.appendChild(b);
+    return b;
+  };
+
+  const urlInput = document.createElement("input");
+  urlInput.value = DEFAULT_TWIN_URL;
+  urlInput.title = "WebSocket address of the machine feed";
+  urlInput.style.width = "160px";
+  panel.appendChild(urlInput);
+
+  const connectButton = button("Connect", "Mirror the machine at this address", () => {
+    if (socket || replay) disconnect();
+    else connect(urlInput.value.trim());
+  });
+
+  const toleranceLabel = document.createElement("label");
+  toleranceLabel.textContent = "tolerance ° ";
+  const tolerance = document.createElement("input");
+  tolerance.type = "number";
+  tolerance.min = "0";
+  tolerance.value = String(DEFAULT_TOLERANCE);
+  tolerance.style.width = "48px";
+  toleranceLabel.appendChild(tolerance);
+  panel.appendChild(toleranceLabel);
+  tolerance.addEventListener("change", () => twin.setTolerance(Math.max(0, Number(tolerance.value) || 0)));
+
+  button("Save recording", "Download the events received so far as a log (JSON lines)", () => {
+    if (twin.log.length === 0) {
+      toolbar.showMessage("Nothing recorded yet");
+      return;
+    }
+    downloadText(formatTwinLog(twin.log), "twin-recording.jsonl", "application/x-ndjson");
+  });
+
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".jsonl,.log,.txt,application/x-ndjson,text/plain";
+  input.style.display = "none";
+  document.body.appendChild(input);
+  button("Replay recording", "Play a saved log back as if the machine sent it", () => input.click());
+
+  const status = document.createElement("span");
+  panel.appendChild(status);
+
+  // Bad messages are reported but do not end the feed
+  function receive(message) {
+    try {
+      twin.handle(message);
+    } catch (e) {
+      toolbar.showMessage(`Twin: ${e.message}`, { error: true });
+    }
+  }
+
+  const setRunning = (on) => {
+    connectButton.textContent = on ? "Disconnect" : "Connect";
+    urlInput.disabled = on;
+  };
+
+  function connect(url) {
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (e) {
+      toolbar.showMessage(`Twin: ${e.message}`, { error: true });
+      return;
+    }
+    socket = ws;
+    setRunning(true);
+    status.textContent = `connecting to ${url}…`;
+    ws.addEventListener("open", () => {
+      twin.start();
+      toolbar.showMessage(`Twin: mirroring ${url}`);
+    });
+    ws.addEventListener("message", (e) => receive(e.data));
+    ws.addEventListener("close", (e) => {
+      if (socket !== ws) return; // disconnected by hand
+      socket = null;
+      twin.stop();
+      setRunning(false);
+      status.textContent = "";
+      toolbar.showMessage(`Twin: ${url} closed${e.code === 1000 ? "" : ` (code ${e.code})`}; Save recording keeps what came in`, {
+        error: e.code !== 1000,
+      });
+    });
+  }
+
+  input.addEventListener("change", async () => {
+    const file = input.files[0];
+    input.value = "";
+    if (!file) return;
+    let events;
+    try {
+      events = parseTwinLog(await file.text());
+    } catch (e) {
+      toolbar.showMessage(`${file.name}: ${e.message}`, { error: true });
+      return;
+    }
+    disconnect();
+    twin.start();
+    setRunning(true);
+    replay = createReplay(events, {
+      send: receive,
+      onEnd: () => {
+        replay = null;
+        setRunning(false);
+        toolbar.showMessage(`Twin: finished ${file.name}; Disconnect goes back to the program`);
+      },
+    });
+    toolbar.showMessage(`Twin: replaying ${file.name} (${events.length} events)`);
+  });
+
+  // Stop the feed and show the program again; the recording is kept until the next start
+  function disconnect() {
+    if (socket) {
+      const ws = socket;
+      socket = null;
+      ws.close();
+    }
+    if (replay) {
+      replay.stop();
+      replay = null;
+    }
+    twin.stop();
+    setRunning(false);
+    status.textContent = "";
+  }
+
+  session.on("twin", (state) => {
+    if (!state) return;
+    const { time, measured, deviations } = state;
+    const off = deviations.map((d) => `${d.key} (${d.diff > 0 ? "+" : ""}${d.diff}°)`);
+    status.textContent =
+      `t=${time.toFixed(2)} s, ${measured.size} carriers measured, ` +
+      (off.length ? `${off.length} off the program: ${off.join(" ")}` : "all as programmed");
+  });
+
+  toolbar.addButton("Twin", "Mirror a live machine over WebSocket", () => {
+    panel.style.display = panel.style.display === "flex" ? "none" : "flex";
+  });
+
+  return {
+    connect(url) {
+      urlInput.value = url;
+      panel.style.display = "flex";
+      disconnect();
+      connect(url);
+    },
+    disconnect,
+  };
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Mock braiding machine for the digital twin (twin.js): a local WebSocket
+ * server that replays a feed to every client that connects, so the twin panel
+ * can be developed and tested without the machine (Node, no dependencies).
+ *
+ *   node twinServer.js <log.jsonl | program.json> [options]
+ *
+ * The file is a log recorded by the twin panel (JSON lines, see twin.js), or
+ * a program (program.js), whose feed is made up with twin.js programLog.
+ *
+ * Options:
+ *   --port <n>    port to listen on (default 8787): ws://localhost:<n>
+ *   --speed <x>   replay speed (default 1)
+ *   --rate <n>    samples per second when the file is a program (default 10)
+ *   --loop        start over after the last event instead of closing
+ *
+ * Each client gets the feed from the start; events with the same time go
+ * out as one message (an array).
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { validateProgram } from "./program.js";
+import { createReplay, parseTwinLog, programLog } from "./twin.js";
+
+const USAGE = "usage: node twinServer.js <log.jsonl | program.json> [--port <n>] [--speed <x>] [--rate <n>] [--loop]";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"; // RFC 6455
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const [file, ...rest] = argv;
+  if (!file || file.startsWith("--")) throw new UsageError(USAGE);
+  const opts = { file, port: 8787, speed: 1, rate: 10, loop: false };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--loop") opts.loop = true;
+    else if (["--port", "--speed", "--rate"].includes(arg) && rest[i + 1]) {
+      const value = Number(rest[++i]);
+      if (!(value > 0)) throw new UsageError(`${arg} must be a positive number`);
+      opts[arg.slice(2)] = value;
+    } else throw new UsageError(`unknown or incomplete option "${arg}"\n${USAGE}`);
+  }
+  return opts;
+}
+
+// A program gives a made-up feed; anything else must be a recorded log
+function feedFrom(text, rate) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // JSON lines, not one JSON value
+  }
+  if (data && typeof data === "object" && !Array.isArray(data) && !("type" in data)) return programLog(validateProgram(data), { rate });
+  return parseTwinLog(text);
+}
+
+// One unfragmented server frame (servers do not mask)
+function frame(opcode, payload = Buffer.alloc(0)) {
+  const n = payload.length;
+  let head;
+  if (n < 126) head = Buffer.from([0x80 | opcode, n]);
+  else if (n < 65536) head = Buffer.from([0x80 | opcode, 126, n >> 8, n & 0xff]);
+  else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(n), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+// Split client frames off `buffer`; returns { frames: [{ opcode, payload }], rest }
+function readFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    if (masked) pos += 4;
+    if (buffer.length < pos + length) break;
+    const payload = Buffer.from(buffer.subarray(pos, pos + length));
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ opcode, payload });
+    offset = pos + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function serve(events, { port, speed, loop }) {
+  const duration = events[events.length - 1].time;
+  const server = createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end(`Mock braiding machine: connect with a WebSocket to ws://localhost:${port}\n`);
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    const client = `${socket.remoteAddress}:${socket.remotePort}`;
+    console.log(`${client} connected`);
+
+    let open = true;
+    const close = () => {
+      if (!open) return;
+      open = false;
+      replay.stop();
+      socket.end(frame(OP_CLOSE, Buffer.from([0x03, 0xe8]))); // 1000: normal closure
+    };
+    const replay = createReplay(events, {
+      speed,
+      loop,
+      send: (batch) => {
+        if (open) socket.write(frame(OP_TEXT, Buffer.from(JSON.stringify(batch))));
+      },
+      onEnd: () => {
+        console.log(`${client}: feed finished`);
+        close();
+      },
+    });
+
+    let pending = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      const { frames, rest } = readFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === OP_CLOSE) close();
+        else if (opcode === OP_PING && open) socket.write(frame(OP_PONG, payload));
+        // the machine feed is one-way; anything else from the client is ignored
+      });
+    });
+    socket.on("close", () => {
+      open = false;
+      replay.stop();
+      console.log(`${client} disconnected`);
+    });
+    socket.on("error", () => socket.destroy());
+  });
+
+  server.listen(port, () => {
+    console.log(`Replaying ${events.length} events (${duration} s${loop ? ", looping" : ""}) on ws://localhost:${port}`);
+  });
+  return server;
+}
+
+async function main(argv) {
+  const opts = parseArgs(argv);
+  let text;
+  try {
+    text = await readFile(opts.file, "utf8");
+  } catch (e) {
+    throw new UsageError(`cannot read ${opts.file}: ${e.message}`);
+  }
+  const events = feedFrom(text, opts.rate);
+  if (events.length === 0) throw new Error(`${opts.file}: the program makes no feed events`);
+  const server = serve(events, opts);
+  server.on("error", (e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e.message);
+  process.exitCode = e instanceof UsageError ? 2 : 1;
+});
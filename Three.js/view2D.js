@@ -0,0 +1,396 @@
+import * as THREE from "three";
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { cellCorners, keyFor } from "./carrierModel.js";
+import { yarnsAt } from "./yarnSim.js";
+import { conflictKeys } from "./collisions.js";
+import { createCarrierInstances, createEdgeBars } from "./carrierInstances.js";
+
+/**
+ * STEP 2 GOAL:
+ * - Draw a field of hexagon "carriers" in a planar layout (or squares and
+ *   octagons, see carrierModel.js TOPOLOGIES).
+ *
+ * STEP 3 GOAL:
+ * - sequencing (activation schedule) with rotation direction and speed,
+ *   see sequencer.js
+ *
+ * STEP 4 GOAL:
+ * - yarn handoff between carriers (yarnSim.js), drawn as dots on carrier sides
+ *
+ * Clicking the gap between two carriers switches the textile on that edge on
+ * or off; unconnected edges are drawn faded. Drag to pan, wheel to zoom
+ * towards the cursor.
+ *
+ * The diagram draws a session (session.js) shared with the 3D view, so
+ * selections and rotations made here show up there at once and vice versa.
+ * Carriers and edge bars are instanced (carrierInstances.js) and picking is
+ * a grid hit test, so beds of thousands of carriers stay interactive.
+ */
+
+const YARN_COLORS = [0xe74c3c, 0x3498db, 0xf39c12, 0x16a085, 0x8e44ad, 0x2c3e50];
+
+// ---------- Cell geometry helpers ----------
+function makeCellShape(cell, radius = 1) {
+  // Flat cell outline in XY plane, corners from carrierModel.js
+  const shape = new THREE.Shape();
+  cellCorners(cell, radius).forEach(({ x, y }, i) => {
+    if (i === 0) shape.moveTo(x, y);
+    else shape.lineTo(x, y);
+  });
+  shape.closePath();
+  return shape;
+}
+
+/**
+ * canvas:    where to draw; sized by CSS, see resize()
+ * session:   shared state (session.js)
+ * isEditing: () => true while the layout editor takes canvas clicks
+ */
+export function createView2D({ canvas, session, isEditing }) {
+  const { model, sequencer } = session;
+  const { carriers } = model;
+
+  // ---------- Basic three.js setup ----------
+  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0xffffff);
+
+  // Use an orthographic camera for a "diagram/simulation" look (like your image)
+  const camera = new THREE.OrthographicCamera(-10, 10, 10, -10, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.lookAt(0, 0, 0);
+
+  // Pan and zoom only: the diagram always looks straight down
+  const controls = new OrbitControls(camera, canvas);
+  controls.enableRotate = false;
+  controls.screenSpacePanning = true;
+  controls.zoomToCursor = true;
+  controls.mouseButtons = { LEFT: THREE.MOUSE.PAN, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN };
+
+  // Simple light (MeshBasicMaterial doesn’t need it, but good to have if you switch later)
+  scene.add(new THREE.AmbientLight(0xffffff, 1.0));
+
+  // ---------- Build the carrier field (instanced, see carrierInstances.js) ----------
+  // Shapes per cell (carrierModel.js), made once per cell type on the bed
+  const cellRadius = (cell) => model.size * cell.radius; // shape radius
+  const bodyGeometry = (cell) => new THREE.ShapeGeometry(makeCellShape(cell, cellRadius(cell)));
+
+  // Outline as a thin frame, so it is instanced like the fill
+  const outlineGeometry = (cell) => {
+    const shape = makeCellShape(cell, cellRadius(cell));
+    shape.holes.push(makeCellShape(cell, cellRadius(cell) - model.size * 0.04));
+    return new THREE.ShapeGeometry(shape).translate(0, 0, 0.005);
+  };
+
+  const CARRIER_COLOR = 0xbddc6a; // light green-ish
+  const CONFLICT_COLOR = 0xe53935; // carriers named by the program checker (collisions.js)
+  const DEVIATION_COLOR = 0xffb300; // measured off their programmed angle on a live machine (twin.js)
+
+  // White, so the per-carrier instance colours show as they are
+  const instanceMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+
+  const field = createCarrierInstances({
+    model,
+    layers: {
+      body: { geometry: bodyGeometry, material: instanceMaterial, color: CARRIER_COLOR },
+      outline: { geometry: outlineGeometry, material: instanceMaterial, color: 0x2b2b2b },
+      // Small “center dot” like your image
+      dot: { geometry: new THREE.CircleGeometry(0.08, 16).translate(0, 0, 0.01), material: instanceMaterial, color: 0x2d5b2a },
+      // Orientation marker: small dot near side 0 to show facing direction
+      orient: {
+        geometry: (cell) => new THREE.CircleGeometry(0.05, 12).translate(cellRadius(cell) * 0.35, 0, 0.02),
+        material: instanceMaterial,
+        color: 0x1f3b1f,
+      },
+      // Selection ring, shown per selected carrier
+      ring: {
+        geometry: (cell) => new THREE.RingGeometry(cellRadius(cell) * 1.05, cellRadius(cell) * 1.15, 32).translate(0, 0, 0.03),
+        material: instanceMaterial,
+        color: 0xff8c00,
+        hidden: true,
+      },
+    },
+  });
+  scene.add(field.group);
+
+  // ---------- Stitch edges (one instanced bar per model edge) ----------
+  const TEXTILE_COLOR = 0x9b59b6; // purple textile segments
+  // Unconnected edges stay visible, faded into the background, so every gap can be clicked
+  const FADED_COLOR = new THREE.Color(0xffffff).lerp(new THREE.Color(TEXTILE_COLOR), 0.2).getHex();
+
+  const edgeBars = createEdgeBars({
+    model,
+    geometry: new THREE.BoxGeometry(1, 0.2, 0.02),
+    material: instanceMaterial,
+    color: FADED_COLOR,
+    z: 0.015,
+  });
+  scene.add(edgeBars.group);
+
+  // Textile present (purple) vs empty (faded), as connected at the current time
+  function updateEdgeStates() {
+    model.edges.forEach(({ key }) => edgeBars.setColor(key, session.isConnected(key) ? TEXTILE_COLOR : FADED_COLOR));
+  }
+
+  // ---------- Selection ----------
+  // Ring on every selected carrier (session.selection)
+  function showSelected() {
+    const keys = new Set(session.selection.map((c) => c.key));
+    carriers.forEach(({ key }) => field.setShown("ring", key, keys.has(key)));
+  }
+
+  // ---------- Yarns (handoff simulation in yarnSim.js) ----------
+  // Sides are in the carrier's own frame, so a yarn turns with its carrier
+  const yarnGroup = new THREE.Group();
+  scene.add(yarnGroup);
+  const yarnGeometry = new THREE.CircleGeometry(0.09, 16);
+  const yarnMarkers = new Map(); // yarn id -> mesh
+
+  function rebuildYarnMarkers() {
+    yarnMarkers.forEach((m) => m.material.dispose());
+    yarnGroup.clear();
+    yarnMarkers.clear();
+    session.yarns.forEach((y, i) => {
+      const marker = new THREE.Mesh(yarnGeometry, new THREE.MeshBasicMaterial({ color: YARN_COLORS[i % YARN_COLORS.length] }));
+      yarnGroup.add(marker);
+      yarnMarkers.set(y.id, marker);
+    });
+    updateYarnMarkers();
+  }
+
+  function updateYarnMarkers() {
+    yarnsAt(session.yarnRun.paths, sequencer.time).forEach((pos, id) => {
+      const marker = yarnMarkers.get(id);
+      const carrier = model.get(pos.carrier);
+      if (!marker || !carrier) return;
+      // Three quarters of the way from the centre to its side's midpoint
+      const { midX, midY } = model.sideMidpoint(carrier, pos.side);
+      marker.position.set(carrier.x + (midX - carrier.x) * 0.75, carrier.y + (midY - carrier.y) * 0.75, 0.04);
+    });
+  }
+
+  // ---------- Program checks (collisions.js) and live machine deviations (twin.js) ----------
+  // The 2D view draws no rods, but the checker includes them
+  function showProblems() {
+    const bad = conflictKeys(session.problems);
+    const off = new Set(session.twin?.deviations.map((d) => d.key));
+    carriers.forEach(({ key }) =>
+      field.setColor("body", key, off.has(key) ? DEVIATION_COLOR : bad.has(key) ? CONFLICT_COLOR : null)
+    );
+  }
+
+  // ---------- Session events (a "run" always follows "field") ----------
+  function rebuild() {
+    field.rebuild();
+    edgeBars.rebuild();
+    updateEdgeStates();
+    showSelected();
+    fitCamera();
+  }
+
+  session.on("field", rebuild);
+  session.on("turn", (changed) => {
+    field.update(changed);
+    edgeBars.update();
+  });
+  session.on("select", showSelected);
+  session.on("edges", updateEdgeStates);
+  session.on("run", () => {
+    rebuildYarnMarkers();
+    showProblems();
+  });
+  session.on("twin", showProblems);
+
+  // Pointer (normalized device coords) -> point on the bed
+  const worldAt = (pointer) => new THREE.Vector3(pointer.x, pointer.y, 0).unproject(camera);
+
+  // ---------- Layout editor clicks (layouts.js) ----------
+  // Click in edit mode: add a carrier on an empty cell, remove a clicked carrier
+  function toggleCellAt(pointer) {
+    const world = worldAt(pointer);
+    const { q, r } = model.cellAt(world.x, world.y);
+    const key = keyFor(q, r);
+    const coords = carriers.map(({ q, r }) => ({ q, r }));
+    session.editLayout(model.has(key) ? coords.filter((c) => keyFor(c.q, c.r) !== key) : [...coords, { q, r }]);
+  }
+
+  // Edge whose gap (around the middle of the two facing sides; cells of
+  // different sizes do not meet halfway between their centres) contains the
+  // click, or null
+  const EDGE_PICK_RADIUS = 0.35;
+
+  function edgeAt(pointer) {
+    const world = worldAt(pointer);
+    let best = null;
+    let bestDist = EDGE_PICK_RADIUS;
+    model.edges.forEach((edge) => {
+      const a = model.sideMidpoint(model.get(edge.a), edge.sideIdxA, 0);
+      const b = model.sideMidpoint(model.get(edge.b), edge.sideIdxB, 0);
+      const d = Math.hypot(world.x - (a.midX + b.midX) / 2, world.y - (a.midY + b.midY) / 2);
+      if (d < bestDist) {
+        best = edge;
+        bestDist = d;
+      }
+    });
+    return best;
+  }
+
+  // Mouse picking: a click in a gap toggles that edge, otherwise chooses a
+  // carrier (shift-click adds / removes it). Drags pan the view, so only a
+  // click that barely moved picks; shift-drag draws a selection box instead.
+  const CLICK_SLOP = 5; // px
+  const pointer = new THREE.Vector2();
+  let downAt = null;
+
+  const selectBox = document.createElement("div");
+  selectBox.style.cssText = "position:fixed;display:none;border:1px dashed #ff8c00;background:rgba(255,140,0,0.08);pointer-events:none;";
+  document.body.appendChild(selectBox);
+
+  function boxRect(event) {
+    return {
+      left: Math.min(downAt.x, event.clientX),
+      top: Math.min(downAt.y, event.clientY),
+      right: Math.max(downAt.x, event.clientX),
+      bottom: Math.max(downAt.y, event.clientY),
+    };
+  }
+
+  // Carriers whose centres are inside a client-space rectangle
+  function carriersInBox({ left, top, right, bottom }) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const p = new THREE.Vector3();
+    return carriers.filter((c) => {
+      p.set(c.x, c.y, 0).project(camera);
+      const x = rect.left + ((p.x + 1) / 2) * rect.width;
+      const y = rect.top + ((1 - p.y) / 2) * rect.height;
+      return x >= left && x <= right && y >= top && y <= bottom;
+    });
+  }
+
+  function onPointerUp(event) {
+    if (!downAt) return;
+    const moved = Math.hypot(event.clientX - downAt.x, event.clientY - downAt.y) > CLICK_SLOP;
+    if (downAt.box) {
+      selectBox.style.display = "none";
+      if (moved) session.selectMany(carriersInBox(boxRect(event)));
+    }
+    downAt = null;
+    if (moved) return;
+    setPointer(event);
+    if (isEditing()) {
+      toggleCellAt(pointer);
+      return;
+    }
+    const edge = !event.shiftKey && edgeAt(pointer);
+    if (edge) {
+      session.toggleEdge(edge.key);
+      return;
+    }
+    const carrier = carrierAt(pointer);
+    if (carrier) session.select(carrier, { add: event.shiftKey });
+  }
+
+  function setPointer(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  }
+
+  // Axial hit test: the cell under the pointer, no raycasting
+  function carrierAt(pointer) {
+    const world = worldAt(pointer);
+    return model.get(field.keyAt(world.x, world.y)) ?? null;
+  }
+
+  renderer.domElement.addEventListener("pointerdown", (e) => {
+    // The controls ignore shift-drags (rotation is off), so they are free for the box
+    downAt = { x: e.clientX, y: e.clientY, box: e.shiftKey && e.button === 0 && !isEditing() };
+  });
+  renderer.domElement.addEventListener("pointerup", onPointerUp);
+  // Hover readout for the inspector (inspector.js), or the selection box
+  renderer.domElement.addEventListener("pointermove", (e) => {
+    if (downAt?.box && e.buttons) {
+      const { left, top, right, bottom } = boxRect(e);
+      Object.assign(selectBox.style, {
+        display: "block",
+        left: `${left}px`,
+        top: `${top}px`,
+        width: `${right - left}px`,
+        height: `${bottom - top}px`,
+      });
+      return;
+    }
+    if (e.buttons) return; // panning
+    setPointer(e);
+    session.hover(carrierAt(pointer));
+  });
+  renderer.domElement.addEventListener("pointerleave", () => session.hover(null));
+  renderer.domElement.addEventListener("contextmenu", (e) => e.preventDefault());
+
+  // Fit camera bounds to the field, widening one axis to match the canvas
+  // aspect so large or oddly shaped fields aren't stretched
+  function fitCamera(padding = 1.2) {
+    const box = field.bounds();
+    if (box.isEmpty() || canvas.clientHeight === 0) return;
+    const size = new THREE.Vector3();
+    const center = new THREE.Vector3();
+    box.getSize(size);
+    box.getCenter(center);
+
+    const aspect = canvas.clientWidth / canvas.clientHeight;
+    let halfW = (size.x / 2) * padding;
+    let halfH = (size.y / 2) * padding;
+    if (halfW / halfH < aspect) halfW = halfH * aspect;
+    else halfH = halfW / aspect;
+
+    camera.left = -halfW;
+    camera.right = halfW;
+    camera.top = halfH;
+    camera.bottom = -halfH;
+    camera.near = 0.1;
+    camera.far = 100;
+    camera.zoom = 1;
+    camera.position.set(center.x, center.y, 10);
+    controls.target.set(center.x, center.y, 0);
+    camera.updateProjectionMatrix();
+    controls.update();
+  }
+
+  // Centre on the selected carrier, zoomed to a few carriers across
+  function focusSelected() {
+    const carrier = session.selected;
+    if (!carrier) return;
+    const span = Math.min(camera.right - camera.left, camera.top - camera.bottom);
+    camera.zoom = Math.max(camera.zoom, span / (model.size * 8));
+    camera.position.set(carrier.x, carrier.y, 10);
+    controls.target.set(carrier.x, carrier.y, 0);
+    camera.updateProjectionMatrix();
+    controls.update();
+  }
+
+  // ---------- Resize ----------
+  // Follow the canvas' CSS size (it shares the page with the 3D view)
+  function resize() {
+    const w = canvas.clientWidth;
+    const h = canvas.clientHeight;
+    if (w === 0 || h === 0) return;
+    renderer.setSize(w, h, false);
+    fitCamera();
+  }
+
+  // ---------- Per-frame update ----------
+  function frame() {
+    if (canvas.clientWidth === 0) return; // hidden
+    updateYarnMarkers();
+    renderer.render(scene, camera);
+  }
+
+  rebuild();
+  rebuildYarnMarkers();
+  showProblems();
+  resize();
+
+  return { canvas, resize, frame, focusSelected };
+}
@@ -0,0 +1,630 @@
+import * as THREE from "three";
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { cellCorners, keyFor } from "./carrierModel.js";
+import { yarnsAt } from "./yarnSim.js";
+import { conflictKeys } from "./collisions.js";
+import { FEED_HEIGHT } from "./session.js";
+import { createYarnTube, yarnPolyline } from "./yarnTubes.js";
+import { buildBraid, braidCenterlines, braidToJSON, centerlinesToCSV } from "./braid.js";
+import { downloadBlob, downloadText } from "./download.js";
+import { exportGLTF, exportOBJ, exportSTL } from "./exporters.js";
+import { BUILTIN_VIEWS, builtinViewpoint } from "./viewpoints.js";
+import { createCarrierInstances } from "./carrierInstances.js";
+import { tensionLevel } from "./twin.js";
+
+/**
+ * 3D view of a session (session.js): extruded carriers with shadows, rods,
+ * yarn tubes trailing their carrier history and the braid growing above the
+ * bed. Shares its state with the 2D diagram; mirroring a live machine
+ * (twin.js) colours carriers off their programmed angle and strained yarns.
+ * Carriers are instanced (carrierInstances.js) like the diagram's.
+ *
+ * Camera: drag to orbit (z stays up), right-drag or shift-drag to pan, wheel
+ * to zoom towards the cursor; a click without dragging picks a carrier.
+ * Named viewpoints (viewpoints.js) are in the Camera panel.
+ */
+
+const YARN_COLORS = [0xe74c3c, 0x3498db, 0xf39c12, 0x16a085, 0x8e44ad, 0x2c3e50];
+
+// Cell helpers: outline from carrierModel.js, sides pinched in slightly
+function makeCellShape(cell, radius = 1, pinch = 0.05) {
+  const shape = new THREE.Shape();
+  const verts = cellCorners(cell, radius);
+  verts.forEach((v, i) => {
+    const next = verts[(i + 1) % verts.length];
+    const mx = (v.x + next.x) / 2;
+    const my = (v.y + next.y) / 2;
+    const insetX = mx * (1 - pinch);
+    const insetY = my * (1 - pinch);
+    if (i === 0) shape.moveTo(v.x, v.y);
+    shape.quadraticCurveTo(insetX, insetY, next.x, next.y);
+  });
+  return shape;
+}
+
+/**
+ * canvas:    where to draw; sized by CSS, see resize()
+ * session:   shared state (session.js)
+ * toolbar:   shared toolbar; the view adds its rod and export controls
+ * isEditing: () => true while the layout editor takes canvas clicks
+ */
+export function createView3D({ canvas, session, toolbar, isEditing }) {
+  const { model, sequencer } = session;
+  const { carriers } = model;
+
+  // Basic three.js setup (3D perspective)
+  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  renderer.shadowMap.enabled = true;
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0xf6f8fb);
+
+  const camera = new THREE.PerspectiveCamera(45, 1, 0.1, 200);
+  camera.position.set(0, -24, 12);
+  camera.up.set(0, 0, 1);
+  camera.lookAt(0, 0, 0);
+
+  const controls = new OrbitControls(camera, canvas);
+  controls.screenSpacePanning = true;
+  controls.zoomToCursor = true;
+
+  // Lights
+  scene.add(new THREE.HemisphereLight(0xffffff, 0xa0a0a0, 0.6));
+  const dir = new THREE.DirectionalLight(0xffffff, 0.8);
+  dir.position.set(8, 8, 14);
+  dir.castShadow = true;
+  scene.add(dir);
+
+  // Scene params
+  const HEX_HEIGHT = 0.35;
+  const cellRadius = (cell) => model.size * cell.radius;
+  // Made once per cell type on the bed (carrierModel.js), centred on z
+  const carrierGeometry = (cell) =>
+    new THREE.ExtrudeGeometry(makeCellShape(cell, cellRadius(cell)), { depth: HEX_HEIGHT, bevelEnabled: false }).translate(0, 0, -HEX_HEIGHT / 2);
+
+  const CARRIER_COLOR = 0xbddc6a;
+  const CONFLICT_COLOR = 0xe53935;
+  const DEVIATION_COLOR = 0xffb300; // measured off the programmed angle (twin.js)
+  const TENSION_COLOR = new THREE.Color(0xd50000); // yarns tint towards this under high tension
+  const OUTLINE_COLOR = 0x2b2b2b;
+  const SELECTED_COLOR = 0xff8c00;
+
+  // White, so the per-carrier instance colours show as they are
+  const carrierMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.55, metalness: 0.05 });
+  const outlineMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+
+  // Outline as a thin frame on the top face, so it is instanced like the body
+  const TOP_Z = HEX_HEIGHT / 2;
+  const outlineGeometry = (cell) => {
+    const shape = makeCellShape(cell, cellRadius(cell));
+    shape.holes.push(makeCellShape(cell, cellRadius(cell) - model.size * 0.05));
+    return new THREE.ShapeGeometry(shape).translate(0, 0, TOP_Z + 0.002);
+  };
+
+  // Every carrier part is one instanced mesh for the whole bed (carrierInstances.js)
+  const field = createCarrierInstances({
+    model,
+    layers: {
+      body: { geometry: carrierGeometry, material: carrierMaterial, color: CARRIER_COLOR, shadows: true },
+      outline: { geometry: outlineGeometry, material: outlineMaterial, color: OUTLINE_COLOR },
+      dot: { geometry: new THREE.SphereGeometry(0.08, 12, 12).translate(0, 0, TOP_Z + 0.02), material: carrierMaterial, color: 0x2d5b2a },
+      orient: {
+        geometry: (cell) => new THREE.SphereGeometry(0.06, 12, 12).translate(cellRadius(cell) * 0.35, 0, TOP_Z + 0.02),
+        material: carrierMaterial,
+        color: 0x1f3b1f,
+      },
+    },
+  });
+  scene.add(field.group);
+
+  // Selected carriers get an orange outline (the 2D view draws a ring)
+  function showSelected() {
+    const keys = new Set(session.selection.map((c) => c.key));
+    carriers.forEach(({ key }) => field.setColor("outline", key, keys.has(key) ? SELECTED_COLOR : null));
+  }
+
+  const textileMaterial = new THREE.MeshStandardMaterial({ color: 0x9b59b6, roughness: 0.35, metalness: 0.05 });
+
+  // Rods: any number, each tied to one side of its carrier (model.rods). A rod
+  // shows while its side faces a neighbour and has its own yarn (a tube, see
+  // yarnTubes.js) up to its own feed point.
+  const rodLength = model.size * 1.05;
+  const rodThickness = 0.18;
+  const rodGeom = new THREE.BoxGeometry(rodLength, rodThickness, 0.05);
+  const ROD_Z = HEX_HEIGHT / 2 + 0.06;
+  const YARN_RADIUS = 0.05;
+
+  const rodViews = new Map(); // rod id -> { mesh, yarnTube, feed: Vector3 }
+
+  function addRodView(rod) {
+    const mesh = new THREE.Mesh(rodGeom, new THREE.MeshStandardMaterial({ color: rod.color, roughness: 0.35, metalness: 0.05 }));
+    mesh.name = rod.id;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+
+    const yarnTube = createYarnTube({ color: rod.color, radius: YARN_RADIUS });
+    yarnTube.mesh.name = `${rod.id} yarn`;
+    scene.add(yarnTube.mesh);
+
+    rodViews.set(rod.id, { mesh, yarnTube, feed: new THREE.Vector3(...rod.feed) });
+  }
+
+  function removeRodView(id) {
+    const view = rodViews.get(id);
+    scene.remove(view.mesh);
+    view.mesh.material.dispose();
+    scene.remove(view.yarnTube.mesh);
+    view.yarnTube.dispose();
+    rodViews.delete(id);
+  }
+
+  // Match the rod meshes to model.rods
+  function syncRods() {
+    const ids = new Set(model.rods.map((r) => r.id));
+    [...rodViews.keys()].filter((id) => !ids.has(id)).forEach(removeRodView);
+    model.rods.filter((r) => !rodViews.has(r.id)).forEach(addRodView);
+    updateRods();
+  }
+
+  function updateRod(rod) {
+    const { mesh } = rodViews.get(rod.id);
+    const side = model.rodPlacement(rod);
+    mesh.visible = side !== null;
+    if (!side) return;
+
+    // Place the rod right on the anchor edge (slightly offset outward along the
+    // normal), parallel to the side
+    const edgeOffset = 0.02;
+    mesh.position.set(side.midX + side.normal.nx * edgeOffset, side.midY + side.normal.ny * edgeOffset, ROD_Z);
+    mesh.rotation.set(0, 0, side.tangentAngle);
+  }
+
+  function updateRods() {
+    model.rods.forEach(updateRod);
+  }
+
+  // Rod controls: add to / remove from the selected carrier
+  toolbar.addButton("+ Rod", "Add a rod to the selected carrier", () => {
+    if (session.selected) session.addRod({ carrier: session.selected.key });
+  });
+  toolbar.addButton("− Rod", "Remove the last rod on the selected carrier", () => {
+    const onSelected = model.rods.filter((r) => r.carrier === session.selected?.key);
+    if (onSelected.length) session.removeRod(onSelected[onSelected.length - 1]);
+  });
+
+  // Yarn tubes: each yarn end leaves a trail that rises towards its feed point
+  // as simulation time passes, so the view shows the braid building up.
+  const HISTORY_SAMPLES = 24; // points along each yarn's trail
+  const HISTORY_SECONDS = 4; // simulation time a trail covers
+  const braidPoint = new THREE.Vector3(0, 0, FEED_HEIGHT);
+  const yarnTubes = new Map(); // yarn id -> { tube, samples }
+  const historySamples = Array.from({ length: HISTORY_SAMPLES }, () => ({ x: 0, y: 0, z: 0, age: 0 }));
+  const yarnPoints = [];
+
+  // Rebuild the tubes for a fresh simulation run
+  function rebuildYarns() {
+    yarnTubes.forEach(({ tube }) => {
+      scene.remove(tube.mesh);
+      tube.dispose();
+    });
+    yarnTubes.clear();
+    session.yarns.forEach((y, i) => {
+      const tube = createYarnTube({ color: YARN_COLORS[i % YARN_COLORS.length], radius: YARN_RADIUS });
+      tube.mesh.name = `yarn ${y.id}`;
+      scene.add(tube.mesh);
+      const samples = Array.from({ length: HISTORY_SAMPLES }, () => ({ x: 0, y: 0, z: 0, age: 0 }));
+      yarnTubes.set(y.id, { tube, samples });
+    });
+    // Simulated yarns all run up to one braid point above the middle of the bed
+    const box = field.bounds();
+    if (!box.isEmpty()) box.getCenter(braidPoint).setZ(FEED_HEIGHT);
+    rebuildBraid();
+  }
+
+  // Carrier rotation at simulation time t, keeping manual turns made since
+  function rotationAt(carrier, t) {
+    return carrier.rotation - sequencer.appliedOffset(carrier.key) + sequencer.offsetAt(carrier.key, t);
+  }
+
+  function sampleTimes(fn) {
+    const now = sequencer.time;
+    const dt = HISTORY_SECONDS / (HISTORY_SAMPLES - 1);
+    historySamples.forEach((sample, k) => {
+      const age = (HISTORY_SAMPLES - 1 - k) * dt;
+      sample.age = age;
+      fn(sample, Math.max(0, now - age), k);
+    });
+  }
+
+  function updateYarnTubes() {
+    model.rods.forEach((rod) => {
+      const { mesh, yarnTube, feed } = rodViews.get(rod.id);
+      yarnTube.mesh.visible = mesh.visible;
+      if (!mesh.visible) return;
+      const anchor = model.get(rod.carrier);
+      sampleTimes((sample, t) => {
+        const side = model.sideMidpoint(anchor, rod.side, rotationAt(anchor, t));
+        sample.x = side.midX + side.normal.nx * 0.02;
+        sample.y = side.midY + side.normal.ny * 0.02;
+        sample.z = ROD_Z;
+      });
+      yarnTube.update(yarnPolyline(historySamples, feed, { riseTime: HISTORY_SECONDS }, yarnPoints));
+    });
+
+    sampleTimes((sample, t, k) => {
+      yarnsAt(session.yarnRun.paths, t).forEach((pos, id) => {
+        const carrier = model.get(pos.carrier);
+        const entry = yarnTubes.get(id);
+        if (!carrier || !entry) return;
+        const out = entry.samples[k];
+        const side = model.sideMidpoint(carrier, pos.side, rotationAt(carrier, t));
+        out.x = side.midX;
+        out.y = side.midY;
+        out.z = HEX_HEIGHT / 2;
+        out.age = sample.age;
+      });
+    });
+    yarnTubes.forEach(({ tube, samples }) => {
+      tube.update(yarnPolyline(samples, braidPoint, { riseTime: HISTORY_SECONDS }, yarnPoints));
+    });
+  }
+
+  // Braid preform (braid.js): the fabric made so far, growing up from the braid
+  // point along +z as the program runs
+  const BRAID_TAKE_UP = 0.5; // z units of braid per second of simulation time
+  let braid = null;
+  const braidTubes = new Map(); // yarn id -> { tube, points: Vector3[] }
+
+  function rebuildBraid() {
+    braidTubes.forEach(({ tube }) => {
+      scene.remove(tube.mesh);
+      tube.dispose();
+    });
+    braidTubes.clear();
+    braid = buildBraid({
+      paths: session.yarnRun.paths,
+      positionOf: (key, side, t) => {
+        const carrier = model.get(key);
+        const s = model.sideMidpoint(carrier, side, rotationAt(carrier, t));
+        return { x: s.midX, y: s.midY };
+      },
+      duration: sequencer.duration(),
+      center: braidPoint,
+    });
+    session.yarns.forEach((y, i) => {
+      const tube = createYarnTube({ color: YARN_COLORS[i % YARN_COLORS.length], radius: YARN_RADIUS * 0.8, segments: 128 });
+      tube.mesh.name = `braid ${y.id}`;
+      scene.add(tube.mesh);
+      braidTubes.set(y.id, { tube, points: [] });
+    });
+  }
+
+  function updateBraid() {
+    if (!braid) return;
+    braidCenterlines(braid, sequencer.time, { z0: braidPoint.z, takeUp: BRAID_TAKE_UP }).forEach(({ id, points }) => {
+      const entry = braidTubes.get(id);
+      if (!entry) return;
+      entry.tube.mesh.visible = points.length >= 2;
+      if (points.length < 2) return;
+      while (entry.points.length < points.length) entry.points.push(new THREE.Vector3());
+      entry.points.length = points.length;
+      points.forEach((p, i) => entry.points[i].fromArray(p));
+      entry.tube.update(entry.points);
+    });
+  }
+
+  // Program checks (collisions.js): conflicting carriers turn red; with a
+  // live machine (twin.js), carriers measured off their programmed angle turn amber
+  function showProblems() {
+    const bad = conflictKeys(session.problems);
+    const off = new Set(session.twin?.deviations.map((d) => d.key));
+    carriers.forEach(({ key }) =>
+      field.setColor("body", key, off.has(key) ? DEVIATION_COLOR : bad.has(key) ? CONFLICT_COLOR : null)
+    );
+  }
+
+  // Measured yarn tension (twin.js), by yarn or rod id, tints the yarn tubes
+  function showTensions() {
+    const tensions = session.twin?.tensions;
+    const tint = (tube, color, id) => {
+      const level = tensions?.has(id) ? tensionLevel(tensions.get(id)) : 0;
+      tube.mesh.material.color.set(color).lerp(TENSION_COLOR, level);
+    };
+    session.yarns.forEach((y, i) => {
+      const entry = yarnTubes.get(y.id);
+      if (entry) tint(entry.tube, YARN_COLORS[i % YARN_COLORS.length], y.id);
+    });
+    model.rods.forEach((rod) => {
+      const view = rodViews.get(rod.id);
+      if (view) tint(view.yarnTube, rod.color, rod.id);
+    });
+  }
+
+  // Session events; a "run" always follows "field"
+  function rebuild() {
+    field.rebuild();
+    syncRods();
+    showSelected();
+    fitCamera();
+  }
+
+  session.on("field", rebuild);
+  session.on("turn", (changed) => {
+    field.update(changed);
+    updateRods();
+  });
+  session.on("select", showSelected);
+  session.on("rods", () => {
+    syncRods();
+    showTensions();
+  });
+  session.on("run", () => {
+    rebuildYarns();
+    showProblems();
+    showTensions();
+  });
+  session.on("twin", () => {
+    showProblems();
+    showTensions();
+  });
+
+  // Geometry export (exporters.js): the scene as it is shown, plus the braid
+  // centerlines for the whole run
+  function yarnMeshes() {
+    const tubes = [...rodViews.values()].map((v) => v.yarnTube);
+    [...yarnTubes.values(), ...braidTubes.values()].forEach((e) => tubes.push(e.tube));
+    return tubes.map((tube) => tube.mesh).filter((mesh) => mesh.visible);
+  }
+
+  async function exportAs(format, baseName = "braid") {
+    const lineOpts = { z0: braidPoint.z, takeUp: BRAID_TAKE_UP };
+    if (format === "glb") {
+      downloadBlob(new Blob([await exportGLTF(scene)], { type: "model/gltf-binary" }), `${baseName}.glb`);
+    } else if (format === "gltf") {
+      downloadText(JSON.stringify(await exportGLTF(scene, { binary: false })), `${baseName}.gltf`, "model/gltf+json");
+    } else if (format === "obj") {
+      downloadText(exportOBJ(scene), `${baseName}.obj`, "model/obj");
+    } else if (format === "stl") {
+      downloadText(exportSTL(yarnMeshes()), `${baseName}-yarns.stl`, "model/stl");
+    } else if (format === "csv") {
+      downloadText(centerlinesToCSV(braidCenterlines(braid, braid.duration, lineOpts)), `${baseName}-centerlines.csv`, "text/csv");
+    } else if (format === "json") {
+      downloadText(JSON.stringify(braidToJSON(braid, lineOpts), null, 2), `${baseName}-centerlines.json`, "application/json");
+    } else {
+      throw new Error(`unknown export format "${format}"`);
+    }
+  }
+
+  const exportPanel = toolbar.addPanel();
+  [
+    ["GLB", "glb", "Scene as binary glTF (carriers, rods, yarns, braid)"],
+    ["glTF", "gltf", "Scene as glTF JSON"],
+    ["OBJ", "obj", "Scene as Wavefront OBJ"],
+    ["STL", "stl", "Yarn tubes as STL"],
+    ["CSV", "csv", "Braid yarn centerlines as CSV"],
+    ["JSON", "json", "Braid yarn centerlines as JSON"],
+  ].forEach(([label, format, title]) => {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener("click", () =>
+      exportAs(format).catch((e) => toolbar.showMessage(`Export ${label}: ${e.message}`, { error: true }))
+    );
+    exportPanel.appendChild(button);
+  });
+  toolbar.addButton("Export", "Export geometry and yarn centerlines", () => {
+    exportPanel.style.display = exportPanel.style.display === "flex" ? "none" : "flex";
+  });
+
+  // Layout editor clicks (layouts.js): add or remove the carrier under the pointer
+  const groundPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+  const topPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -TOP_Z); // carriers' top faces
+
+  function toggleCellAt(ray) {
+    const hitPoint = ray.intersectPlane(groundPlane, new THREE.Vector3());
+    if (!hitPoint) return;
+    const { q, r } = model.cellAt(hitPoint.x, hitPoint.y);
+    const key = keyFor(q, r);
+    const coords = carriers.map(({ q, r }) => ({ q, r }));
+    session.editLayout(model.has(key) ? coords.filter((c) => keyFor(c.q, c.r) !== key) : [...coords, { q, r }]);
+  }
+
+  // Picking to select a carrier (and click to rotate): the pointer ray meets
+  // the top faces' plane and the cell there is looked up axially, no mesh
+  // raycasting. Drags belong to the camera controls, so only a click that
+  // barely moved picks.
+  const CLICK_SLOP = 5; // px
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let downAt = null;
+
+  function onPointerUp(event) {
+    if (!downAt || Math.hypot(event.clientX - downAt.x, event.clientY - downAt.y) > CLICK_SLOP) return;
+    downAt = null;
+    setPointer(event);
+    if (isEditing()) {
+      if (event.button === 0) toggleCellAt(raycaster.ray);
+      return;
+    }
+    const carrier = carrierAt();
+    if (carrier && event.shiftKey) {
+      session.select(carrier, { add: true }); // shift-click: add / remove, no turn
+    } else if (carrier) {
+      session.select(carrier);
+      // left click rotates CW, right click (button 2) rotates CCW
+      if (event.button === 0) session.rotate(carrier, -model.stepAngle);
+      if (event.button === 2) session.rotate(carrier, model.stepAngle);
+    }
+  }
+
+  // Also aims the raycaster
+  function setPointer(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+  }
+
+  const hitPoint = new THREE.Vector3();
+
+  function carrierAt() {
+    if (!raycaster.ray.intersectPlane(topPlane, hitPoint)) return null;
+    return model.get(field.keyAt(hitPoint.x, hitPoint.y)) ?? null;
+  }
+
+  renderer.domElement.addEventListener("pointerdown", (e) => {
+    downAt = { x: e.clientX, y: e.clientY };
+  });
+  renderer.domElement.addEventListener("pointerup", onPointerUp);
+  // Hover readout for the inspector (inspector.js); not while dragging the camera
+  renderer.domElement.addEventListener("pointermove", (e) => {
+    if (e.buttons) return;
+    setPointer(e);
+    session.hover(carrierAt());
+  });
+  renderer.domElement.addEventListener("pointerleave", () => session.hover(null));
+  renderer.domElement.addEventListener("contextmenu", (e) => e.preventDefault());
+
+  let following = false; // "follow-yarn" keeps tracking the yarn end as the program runs
+
+  function setCamera({ position, target }) {
+    camera.position.fromArray(position);
+    controls.target.fromArray(target);
+    controls.update();
+  }
+
+  function fitCamera() {
+    const box = field.bounds(-TOP_Z, TOP_Z);
+    if (box.isEmpty()) return;
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y);
+    const dist = maxDim * 1.8;
+    following = false;
+    setCamera({ position: [center.x, center.y - dist, dist * 0.6], target: center.toArray() });
+  }
+
+  // Named viewpoints: saved with the program (session.viewpoints) or built in
+  function followPoint() {
+    const id = session.yarns[0]?.id;
+    const pos = id && yarnsAt(session.yarnRun.paths, sequencer.time).get(id);
+    const carrier = pos && model.get(pos.carrier);
+    if (!carrier) return null;
+    const side = model.sideMidpoint(carrier, pos.side);
+    return [side.midX, side.midY, HEX_HEIGHT / 2];
+  }
+
+  function viewpoint(name) {
+    if (session.viewpoints[name]) return session.viewpoints[name];
+    const box = field.bounds(-TOP_Z, TOP_Z);
+    if (box.isEmpty()) box.set(new THREE.Vector3(), new THREE.Vector3());
+    return builtinViewpoint(name, { bounds: { min: box.min.toArray(), max: box.max.toArray() }, follow: followPoint() });
+  }
+
+  function setView(name) {
+    setCamera(viewpoint(name));
+    following = name === "follow-yarn";
+  }
+
+  function currentView() {
+    return { position: camera.position.toArray(), target: controls.target.toArray() };
+  }
+
+  function followYarn() {
+    const p = following && followPoint();
+    if (!p) return;
+    const delta = new THREE.Vector3().fromArray(p).sub(controls.target);
+    camera.position.add(delta);
+    controls.target.add(delta);
+    controls.update();
+  }
+
+  // Centre on the selected carrier, closing in to a few carriers across
+  function focusSelected() {
+    const carrier = session.selected;
+    if (!carrier) return;
+    following = false;
+    const target = new THREE.Vector3(carrier.x, carrier.y, 0);
+    const offset = camera.position.clone().sub(controls.target);
+    offset.setLength(Math.min(offset.length(), model.size * 8));
+    setCamera({ position: target.clone().add(offset).toArray(), target: target.toArray() });
+  }
+
+  // Camera panel: built-in and saved viewpoints, save the current view
+  const cameraPanel = toolbar.addPanel();
+  const viewSelect = document.createElement("select");
+  const viewNameInput = document.createElement("input");
+  viewNameInput.placeholder = "name";
+  viewNameInput.style.width = "90px";
+  const cameraButton = (label, title, onClick) => {
+    const b = document.createElement("button");
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener("click", onClick);
+    return b;
+  };
+  const syncViewSelect = () => {
+    const saved = Object.keys(session.viewpoints);
+    viewSelect.replaceChildren(...[...BUILTIN_VIEWS, ...saved].map((name) => new Option(name, name)));
+  };
+  cameraPanel.append(
+    viewSelect,
+    cameraButton("Go", "Move the camera to this viewpoint", () => {
+      try {
+        setView(viewSelect.value);
+      } catch (e) {
+        toolbar.showMessage(e.message, { error: true });
+      }
+    }),
+    cameraButton("Delete", "Delete this saved viewpoint", () => session.removeViewpoint(viewSelect.value)),
+    viewNameInput,
+    cameraButton("Save view", "Save the current camera with the program", () => {
+      const name = viewNameInput.value.trim();
+      if (!name || BUILTIN_VIEWS.includes(name)) {
+        toolbar.showMessage(name ? `"${name}" is a built-in view` : "Name the view first", { error: true });
+        return;
+      }
+      session.saveViewpoint(name, currentView());
+      viewSelect.value = name;
+      toolbar.showMessage(`Saved view "${name}"`);
+    }),
+    cameraButton("Fit", "Fit the whole field in view", fitCamera)
+  );
+  syncViewSelect();
+  session.on("viewpoints", syncViewSelect);
+  toolbar.addButton("Camera", "Viewpoints (F focuses the selected carrier)", () => {
+    cameraPanel.style.display = cameraPanel.style.display === "flex" ? "none" : "flex";
+  });
+
+  // Follow the canvas' CSS size (it shares the page with the 2D view)
+  function resize() {
+    const w = canvas.clientWidth;
+    const h = canvas.clientHeight;
+    if (w === 0 || h === 0) return;
+    renderer.setSize(w, h, false);
+    camera.aspect = w / h;
+    camera.updateProjectionMatrix();
+  }
+
+  // Bring tubes, braid and a following camera to the sequencer's current time
+  function update() {
+    updateYarnTubes();
+    updateBraid();
+    followYarn();
+  }
+
+  function frame() {
+    if (canvas.clientWidth === 0) return; // hidden
+    update();
+    renderer.render(scene, camera);
+  }
+
+  rebuild();
+  rebuildYarns();
+  showProblems();
+  resize();
+
+  return { canvas, renderer, scene, camera, resize, update, frame, exportAs, viewpoint, setView, focusSelected };
+}
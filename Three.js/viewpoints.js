@@ -0,0 +1,37 @@
+/**
+ * Named camera viewpoints for the 3D view (headless: no THREE / DOM).
+ *
+ * A viewpoint is { position: [x, y, z], target: [x, y, z] }, z up. The
+ * built-in ones are worked out from what is on screen; a program can save
+ * its own under other names (program.js "viewpoints"). Either kind can be
+ * used as a render keyframe, see cameraPath.js resolveViews.
+ */
+
+export const BUILTIN_VIEWS = ["top", "isometric", "side", "follow-yarn"];
+
+const FOLLOW_OFFSET = [0, -5, 3]; // camera position relative to the followed yarn end
+
+/**
+ * bounds: { min: [x, y, z], max: [x, y, z] } of the scene
+ * follow: [x, y, z] of the yarn end to follow, or null when there is none
+ */
+export function builtinViewpoint(name, { bounds, follow = null }) {
+  const center = bounds.min.map((v, i) => (v + bounds.max[i]) / 2);
+  const span = Math.max(bounds.max[0] - bounds.min[0], bounds.max[1] - bounds.min[1], 1);
+  const dist = span * 1.8;
+  const [cx, cy, cz] = center;
+  switch (name) {
+    case "top":
+      // A hair off vertical so "up" (+z) still gives the camera a heading
+      return { position: [cx, cy - dist * 1e-3, cz + dist], target: center };
+    case "isometric":
+      return { position: [cx + dist * 0.6, cy - dist * 0.6, cz + dist * 0.6], target: center };
+    case "side":
+      return { position: [cx, cy - dist, cz], target: center };
+    case "follow-yarn":
+      if (!follow) throw new Error("follow-yarn: the program has no yarns");
+      return { position: follow.map((v, i) => v + FOLLOW_OFFSET[i]), target: [...follow] };
+    default:
+      throw new Error(`unknown viewpoint "${name}"`);
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Yarn handoff simulation between adjacent carriers (headless: no THREE / DOM).
+ *
+ * Each yarn sits on one side (0..n-1, in the carrier's own frame) of a
+ * carrier. Carriers turn in steps (the field's step angle); after every step, a
+ * yarn whose side now faces a neighbour may be passed to the neighbour's
+ * facing side. Whether it is passed is decided by an ordered list of rules
+ * (see RULES), so the machine behaviour can be swapped without touching the
+ * stepping code.
+ *
+ * Side indices are carrierModel.js's (worldSideOf / localSideOf): a cell's
+ * side i points along angle0 + i * 360° / cell.sides, and a carrier turned by
+ * k steps shows its local side l at world side (l + k * cell.stepSides) mod
+ * cell.sides (on a hexagon, (l + k) mod 6).
+ */
+
+import { mod, edgeKey, nearestSideIndex, sideCount, carrierSteps, worldSideOf, localSideOf } from "./carrierModel.js";
+
+const DIR_SIGN = { cw: -1, ccw: 1 };
+
+// Map key -> array indexed by world side holding the neighbour key on that side
+export function neighbourSideTable(carriers, neighbors) {
+  const byKey = new Map(carriers.map((c) => [c.key, c]));
+  const table = new Map();
+  carriers.forEach((c) => {
+    const sides = new Array(sideCount(c));
+    (neighbors.get(c.key) || []).forEach((nk) => {
+      const nb = byKey.get(nk);
+      if (nb) sides[nearestSideIndex({ x: nb.x - c.x, y: nb.y - c.y }, c)] = nk;
+    });
+    table.set(c.key, sides);
+  });
+  return table;
+}
+
+// Split moves into single step ticks, sorted by time (ties keep move order)
+export function moveTicks(moves) {
+  const ticks = [];
+  moves.forEach((m, order) => {
+    const sign = DIR_SIGN[m.dir];
+    for (let i = 1; i <= m.steps; i++) {
+      ticks.push({
+        time: m.start + (m.duration * i) / m.steps,
+        from: m.start + (m.duration * (i - 1)) / m.steps,
+        key: m.key,
+        sign,
+        order,
+      });
+    }
+  });
+  return ticks.sort((a, b) => a.time - b.time || a.order - b.order);
+}
+
+/**
+ * Rules get a context and return true (pass the yarn), false (keep it) or
+ * undefined (no opinion, ask the next rule). If no rule decides, the yarn stays.
+ *
+ * ctx = { yarn, from, to, fromSide, toSide, edge, time, connected, isOccupied(key, side) }
+ */
+export const RULES = {
+  // Never pass onto a side that already holds a yarn
+  targetFree: (ctx) => (ctx.isOccupied(ctx.to, ctx.toSide) ? false : undefined),
+  // Only pass across edges switched on in `connected` ("a|b" keys)
+  connectedOnly: (ctx) => (ctx.connected.has(ctx.edge) ? undefined : false),
+  // Pass whenever nothing above objected
+  always: () => true,
+};
+
+export const DEFAULT_RULES = [RULES.targetFree, RULES.always];
+
+/**
+ * Run a move list and return every yarn's path.
+ *
+ * carriers:  [{ key, x, y, rotation, cell }]   rotation in radians, whole steps
+ * neighbors: Map key -> [neighbour keys]
+ * moves:     sequencer steps ({ key, dir, steps, start, duration })
+ * yarns:     [{ id, carrier, side }]     side in the carrier's own frame
+ * connected: edge keys at the start, only used by rules that look at it
+ * edgeEvents: [{ edge, connected, time }] switching edges on / off (sequencer.js),
+ *   applied before the moves at the same time
+ *
+ * Returns { paths: Map id -> [{ time, carrier, side, worldSide, event }], transfers: [...] }
+ * where event is "start", "turn" (carried round by its carrier) or "transfer".
+ */
+export function simulateYarns({
+  carriers,
+  neighbors,
+  moves = [],
+  yarns = [],
+  connected = [],
+  edgeEvents = [],
+  rules = DEFAULT_RULES,
+}) {
+  const byKey = new Map(carriers.map((c) => [c.key, c]));
+  const stepsOf = new Map(carriers.map((c) => [c.key, carrierSteps(c)]));
+  const connectedSet = new Set(connected);
+
+  // neighbourAt.get(key)[worldSide] = neighbour key on that side (or undefined)
+  const neighbourAt = neighbourSideTable(carriers, neighbors);
+
+  const state = new Map(); // yarn id -> { carrier, side }
+  const occupied = new Set(); // "key#side"
+  const slot = (key, side) => `${key}#${side}`;
+  const paths = new Map();
+  const transfers = [];
+
+  const record = (id, time, event) => {
+    const { carrier, side } = state.get(id);
+    paths.get(id).push({ time, carrier, side, worldSide: worldSideOf(byKey.get(carrier), side, stepsOf.get(carrier)), event });
+  };
+
+  yarns.forEach((y) => {
+    if (!byKey.has(y.carrier)) throw new Error(`yarn ${y.id}: unknown carrier "${y.carrier}"`);
+    const side = mod(y.side, sideCount(byKey.get(y.carrier))); // 6 and 0 are the same side of a hexagon
+    if (occupied.has(slot(y.carrier, side))) throw new Error(`yarn ${y.id}: side ${side} of ${y.carrier} is already taken`);
+    state.set(y.id, { carrier: y.carrier, side });
+    occupied.add(slot(y.carrier, side));
+    paths.set(y.id, []);
+    record(y.id, 0, "start");
+  });
+
+  // Single step ticks so intermediate facings count too
+  const ticks = moveTicks(moves);
+
+  const isOccupied = (key, side) => occupied.has(slot(key, side));
+  const events = [...edgeEvents].sort((a, b) => a.time - b.time);
+  let nextEvent = 0;
+
+  for (let i = 0; i < ticks.length; ) {
+    const time = ticks[i].time;
+    for (; nextEvent < events.length && events[nextEvent].time <= time + 1e-9; nextEvent++) {
+      const { edge, connected: on } = events[nextEvent];
+      if (on) connectedSet.add(edge);
+      else connectedSet.delete(edge);
+    }
+    const turned = new Set();
+    for (; i < ticks.length && ticks[i].time === time; i++) {
+      const { key, sign } = ticks[i];
+      if (!byKey.has(key)) continue;
+      stepsOf.set(key, stepsOf.get(key) + sign);
+      turned.add(key);
+    }
+
+    // Yarns riding a carrier that just turned are the only ones that can newly align
+    state.forEach((pos, id) => {
+      if (!turned.has(pos.carrier)) return;
+      const from = pos.carrier;
+      const worldSide = worldSideOf(byKey.get(from), pos.side, stepsOf.get(from));
+      const to = neighbourAt.get(from)[worldSide];
+      if (!to) {
+        record(id, time, "turn");
+        return;
+      }
+      const a = byKey.get(from);
+      const b = byKey.get(to);
+      const toSide = localSideOf(b, nearestSideIndex({ x: a.x - b.x, y: a.y - b.y }, b), stepsOf.get(to));
+      const ctx = {
+        yarn: id,
+        from,
+        to,
+        fromSide: pos.side,
+        toSide,
+        edge: edgeKey(from, to),
+        time,
+        connected: connectedSet,
+        isOccupied,
+      };
+      const decision = rules.reduce((acc, rule) => (acc === undefined ? rule(ctx) : acc), undefined);
+      if (decision !== true) {
+        record(id, time, "turn");
+        return;
+      }
+      occupied.delete(slot(from, pos.side));
+      occupied.add(slot(to, toSide));
+      state.set(id, { carrier: to, side: toSide });
+      transfers.push({ time, yarn: id, from, to, fromSide: pos.side, toSide, edge: ctx.edge });
+      record(id, time, "transfer");
+    });
+  }
+
+  return { paths, transfers };
+}
+
+// Where each yarn is at time t: Map id -> last path entry at or before t
+export function yarnsAt(paths, t) {
+  const out = new Map();
+  paths.forEach((path, id) => {
+    let cur = path[0];
+    for (const p of path) {
+      if (p.time > t) break;
+      cur = p;
+    }
+    out.set(id, cur);
+  });
+  return out;
+}
@@ -0,0 +1,68 @@
+// node --test Three.js/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCarrierModel } from "./carrierModel.js";
+import { neighbourSideTable, simulateYarns, yarnsAt } from "./yarnSim.js";
+
+// Two hexagons side by side: 1,0 is on world side 0 of 0,0
+function pair() {
+  const model = createCarrierModel();
+  model.build([
+    { q: 0, r: 0 },
+    { q: 1, r: 0 },
+  ]);
+  return model;
+}
+
+// One CCW step of 0,0 brings its side 5 round to face 1,0
+const turn = [{ key: "0,0", dir: "ccw", steps: 1, start: 0, duration: 1 }];
+
+test("neighbourSideTable puts each neighbour on the side facing it", () => {
+  const { carriers, neighbors } = pair();
+  const table = neighbourSideTable(carriers, neighbors);
+  assert.equal(table.get("0,0")[0], "1,0");
+  assert.equal(table.get("1,0")[3], "0,0");
+  assert.equal(table.get("0,0").filter(Boolean).length, 1);
+});
+
+test("a yarn is handed over when its side comes to face a neighbour", () => {
+  const { carriers, neighbors } = pair();
+  const { paths, transfers } = simulateYarns({ carriers, neighbors, moves: turn, yarns: [{ id: "y", carrier: "0,0", side: 5 }] });
+  assert.deepEqual(transfers, [{ time: 1, yarn: "y", from: "0,0", to: "1,0", fromSide: 5, toSide: 3, edge: "0,0|1,0" }]);
+  assert.deepEqual(
+    paths.get("y").map(({ carrier, side, worldSide, event }) => [carrier, side, worldSide, event]),
+    [
+      ["0,0", 5, 5, "start"],
+      ["1,0", 3, 3, "transfer"],
+    ]
+  );
+});
+
+test("a yarn stays when the facing side already holds one", () => {
+  const { carriers, neighbors } = pair();
+  const yarns = [
+    { id: "y", carrier: "0,0", side: 5 },
+    { id: "z", carrier: "1,0", side: 3 },
+  ];
+  const { paths, transfers } = simulateYarns({ carriers, neighbors, moves: turn, yarns });
+  assert.equal(transfers.length, 0);
+  assert.deepEqual(paths.get("y").at(-1), { time: 1, carrier: "0,0", side: 5, worldSide: 0, event: "turn" });
+});
+
+test("sides are taken modulo the side count", () => {
+  const { carriers, neighbors } = pair();
+  const yarns = [
+    { id: "y", carrier: "0,0", side: 0 },
+    { id: "z", carrier: "0,0", side: 6 },
+  ];
+  assert.throws(() => simulateYarns({ carriers, neighbors, yarns }), /side 0 of 0,0 is already taken/);
+});
+
+test("yarnsAt gives each yarn's last position at or before the time", () => {
+  const { carriers, neighbors } = pair();
+  const { paths } = simulateYarns({ carriers, neighbors, moves: turn, yarns: [{ id: "y", carrier: "0,0", side: 5 }] });
+  assert.equal(yarnsAt(paths, 0).get("y").carrier, "0,0");
+  assert.equal(yarnsAt(paths, 0.99).get("y").carrier, "0,0");
+  assert.equal(yarnsAt(paths, 1).get("y").event, "transfer");
+  assert.equal(yarnsAt(paths, 5).get("y").carrier, "1,0");
+});
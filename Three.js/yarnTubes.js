@@ -0,0 +1,131 @@
+import * as THREE from "three";
+
+/**
+ * Yarn drawn as a tube with real thickness (WebGL ignores `linewidth`).
+ *
+ * The geometry is allocated once with a fixed number of rings; `update(points)`
+ * rewrites positions and normals in place, so dozens of yarns can be refreshed
+ * every frame without creating geometry or garbage.
+ *
+ * Yarn shape helpers:
+ * - `yarnPolyline(samples, feed, opts)` turns a history of yarn-end positions
+ *   (newest last) into control points: older positions rise towards the feed
+ *   point, as if taken up into the braid, and the free span sags.
+ */
+
+const _tangent = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _binormal = new THREE.Vector3();
+const _prevTangent = new THREE.Vector3();
+const _up = new THREE.Vector3();
+
+export function createYarnTube({ color, radius = 0.05, segments = 64, radialSegments = 6 }) {
+  const rings = segments + 1;
+  const positions = new Float32Array(rings * radialSegments * 3);
+  const normals = new Float32Array(rings * radialSegments * 3);
+  const index = [];
+  for (let i = 0; i < segments; i++) {
+    for (let j = 0; j < radialSegments; j++) {
+      const a = i * radialSegments + j;
+      const b = (i + 1) * radialSegments + j;
+      const c = (i + 1) * radialSegments + ((j + 1) % radialSegments);
+      const d = i * radialSegments + ((j + 1) % radialSegments);
+      index.push(a, b, d, b, c, d);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setIndex(index);
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3).setUsage(THREE.DynamicDrawUsage));
+
+  const material = new THREE.MeshStandardMaterial({ color, roughness: 0.8, metalness: 0 });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.castShadow = true;
+  mesh.frustumCulled = false; // bounds change every frame; not worth recomputing
+
+  const curve = new THREE.CatmullRomCurve3([new THREE.Vector3(), new THREE.Vector3()]);
+  const ringCenters = Array.from({ length: rings }, () => new THREE.Vector3());
+
+  // Rebuild the tube along a smooth curve through `points` (Vector3[], at least 2)
+  function update(points) {
+    curve.points = points;
+    for (let i = 0; i < rings; i++) curve.getPoint(i / segments, ringCenters[i]);
+
+    for (let i = 0; i < rings; i++) {
+      const prev = ringCenters[Math.max(0, i - 1)];
+      const next = ringCenters[Math.min(rings - 1, i + 1)];
+      _tangent.subVectors(next, prev);
+      if (_tangent.lengthSq() < 1e-12) _tangent.copy(_prevTangent.lengthSq() ? _prevTangent : _up.set(0, 0, 1));
+      _tangent.normalize();
+
+      if (i === 0) {
+        // Any vector not parallel to the tangent starts the frame
+        _up.set(0, 0, 1);
+        if (Math.abs(_tangent.z) > 0.9) _up.set(1, 0, 0);
+        _normal.crossVectors(_tangent, _up).normalize();
+      } else {
+        // Parallel transport: keep the previous normal, minus its tangent part
+        _normal.addScaledVector(_tangent, -_normal.dot(_tangent));
+        if (_normal.lengthSq() < 1e-12) _normal.crossVectors(_tangent, _up.set(0, 0, 1));
+        _normal.normalize();
+      }
+      _binormal.crossVectors(_tangent, _normal);
+      _prevTangent.copy(_tangent);
+
+      const center = ringCenters[i];
+      for (let j = 0; j < radialSegments; j++) {
+        const a = (j / radialSegments) * Math.PI * 2;
+        const cos = Math.cos(a);
+        const sin = Math.sin(a);
+        const nx = cos * _normal.x + sin * _binormal.x;
+        const ny = cos * _normal.y + sin * _binormal.y;
+        const nz = cos * _normal.z + sin * _binormal.z;
+        const k = (i * radialSegments + j) * 3;
+        normals[k] = nx;
+        normals[k + 1] = ny;
+        normals[k + 2] = nz;
+        positions[k] = center.x + nx * radius;
+        positions[k + 1] = center.y + ny * radius;
+        positions[k + 2] = center.z + nz * radius;
+      }
+    }
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.normal.needsUpdate = true;
+  }
+
+  function dispose() {
+    geometry.dispose();
+    material.dispose();
+  }
+
+  return { mesh, update, dispose };
+}
+
+/**
+ * samples: [{ x, y, z, age }] yarn-end positions, oldest first, newest (age 0) last
+ * feed:    Vector3 the yarn is drawn from
+ * opts.riseTime: age at which a sample has been taken all the way up to `feed.z`
+ * opts.sag:      how far the free span droops, as a fraction of its length
+ * out:     reused Vector3 array (grown as needed); the result is a prefix of it
+ */
+export function yarnPolyline(samples, feed, { riseTime = 4, sag = 0.12 } = {}, out = []) {
+  const count = samples.length + 1;
+  while (out.length < count) out.push(new THREE.Vector3());
+  out.length = count;
+
+  out[0].copy(feed);
+  // Older samples sit higher: newest rests on the bed, oldest nears the feed
+  for (let i = 0; i < samples.length; i++) {
+    const s = samples[i];
+    const u = Math.min(s.age / riseTime, 1);
+    out[i + 1].set(s.x, s.y, s.z + (feed.z - s.z) * u * 0.9);
+  }
+
+  // Sag the whole span by a half-sine so the yarn hangs rather than stretches
+  const span = out[0].distanceTo(out[count - 1]);
+  for (let i = 1; i < count - 1; i++) {
+    out[i].z -= Math.sin((Math.PI * i) / (count - 1)) * sag * span;
+  }
+  return out;
+}